@@ -3,6 +3,343 @@
  * Main Application Logic
  */
 
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Every chord quality the app knows, in menu order. Intervals are semitones
+// above the root in chord-tone order (root, third, fifth, seventh, extensions);
+// `suffix` follows the root in chord names and `maxInversion` bounds inversions.
+const CHORD_TYPES = new Map([
+    ['major', { name: 'Major', suffix: '', intervals: [0, 4, 7], maxInversion: 2 }],
+    ['minor', { name: 'Minor', suffix: 'm', intervals: [0, 3, 7], maxInversion: 2 }],
+    ['7', { name: 'Dominant 7', suffix: '7', intervals: [0, 4, 7, 10], maxInversion: 3 }],
+    ['maj7', { name: 'Major 7', suffix: 'maj7', intervals: [0, 4, 7, 11], maxInversion: 3 }],
+    ['m7', { name: 'Minor 7', suffix: 'm7', intervals: [0, 3, 7, 10], maxInversion: 3 }],
+    ['sus2', { name: 'Sus 2', suffix: 'sus2', intervals: [0, 2, 7], maxInversion: 2 }],
+    ['sus4', { name: 'Sus 4', suffix: 'sus4', intervals: [0, 5, 7], maxInversion: 2 }],
+    ['dim', { name: 'Diminished', suffix: 'dim', intervals: [0, 3, 6], maxInversion: 2 }],
+    ['aug', { name: 'Augmented', suffix: 'aug', intervals: [0, 4, 8], maxInversion: 2 }],
+    ['dim7', { name: 'Diminished 7', suffix: 'dim7', intervals: [0, 3, 6, 9], maxInversion: 3 }],
+    ['m7b5', { name: 'Half-Diminished', suffix: 'm7b5', intervals: [0, 3, 6, 10], maxInversion: 3 }],
+    ['6', { name: 'Major 6', suffix: '6', intervals: [0, 4, 7, 9], maxInversion: 3 }],
+    ['m6', { name: 'Minor 6', suffix: 'm6', intervals: [0, 3, 7, 9], maxInversion: 3 }],
+    ['add9', { name: 'Add 9', suffix: 'add9', intervals: [0, 4, 7, 14], maxInversion: 2 }],
+    ['9', { name: 'Dominant 9', suffix: '9', intervals: [0, 4, 7, 10, 14], maxInversion: 3 }],
+    ['11', { name: 'Dominant 11', suffix: '11', intervals: [0, 7, 10, 14, 17], maxInversion: 3 }],
+    ['13', { name: 'Dominant 13', suffix: '13', intervals: [0, 4, 10, 14, 21], maxInversion: 3 }],
+    ['7b5', { name: '7 Flat 5', suffix: '7b5', intervals: [0, 4, 6, 10], maxInversion: 3 }],
+    ['7#5', { name: '7 Sharp 5', suffix: '7#5', intervals: [0, 4, 8, 10], maxInversion: 3 }],
+    ['7b9', { name: '7 Flat 9', suffix: '7b9', intervals: [0, 4, 7, 10, 13], maxInversion: 3 }],
+    ['7#9', { name: '7 Sharp 9', suffix: '7#9', intervals: [0, 4, 7, 10, 15], maxInversion: 3 }],
+    ['7alt', { name: 'Altered 7', suffix: '7alt', intervals: [0, 4, 10, 13, 15, 20], maxInversion: 3 }]
+]);
+
+const INVERSION_NAMES = ['Root', '1st Inv', '2nd Inv', '3rd Inv'];
+
+// Built-in synthesized patches. Each partial is an oscillator at `ratio` times
+// the note frequency. The envelope is the patch default; users can override it.
+const SYNTH_PATCHES = {
+    classic: {
+        name: 'Classic',
+        partials: [{ type: 'triangle', ratio: 1, gain: 1 }],
+        envelope: { attack: 0.01, decay: 1.5, sustain: 0.3, release: 0.3 }
+    },
+    'electric-piano': {
+        name: 'Electric Piano',
+        partials: [
+            { type: 'sine', ratio: 1, gain: 0.8 },
+            { type: 'sine', ratio: 2, gain: 0.25 },
+            { type: 'sine', ratio: 7, gain: 0.08, decay: 0.2 } // Tine "bark"
+        ],
+        envelope: { attack: 0.005, decay: 2, sustain: 0.2, release: 0.3 }
+    },
+    organ: {
+        name: 'Organ',
+        // Drawbars 16', 8', 4', 2 2/3', 2'
+        partials: [
+            { type: 'sine', ratio: 0.5, gain: 0.3 },
+            { type: 'sine', ratio: 1, gain: 0.4 },
+            { type: 'sine', ratio: 2, gain: 0.25 },
+            { type: 'sine', ratio: 3, gain: 0.15 },
+            { type: 'sine', ratio: 4, gain: 0.1 }
+        ],
+        envelope: { attack: 0.01, decay: 0.05, sustain: 1, release: 0.08 }
+    },
+    pad: {
+        name: 'Pad',
+        partials: [
+            { type: 'sawtooth', ratio: 1, gain: 0.3, detune: -7 },
+            { type: 'sawtooth', ratio: 1, gain: 0.3, detune: 7 },
+            { type: 'sine', ratio: 0.5, gain: 0.3 }
+        ],
+        filter: { type: 'lowpass', frequency: 1800, Q: 0.5 },
+        envelope: { attack: 0.4, decay: 0.8, sustain: 0.7, release: 1.2 }
+    }
+};
+
+// ADSR on a gain parameter. Attack, decay and release are seconds; sustain is
+// the held level (0-1) relative to the note's peak. A sustain of 0 lets the
+// note die away after the decay even while it is held.
+class Envelope {
+    static LIMITS = {
+        attack: { min: 0.001, max: 2 },
+        decay: { min: 0.01, max: 5 },
+        sustain: { min: 0, max: 1 },
+        release: { min: 0.01, max: 5 }
+    };
+
+    // Starts the envelope at `time`; returns when the note ends by itself
+    static start(param, peak, time, envelope) {
+        const decayStart = time + envelope.attack;
+        param.setValueAtTime(0, time);
+        param.linearRampToValueAtTime(peak, decayStart);
+
+        if (envelope.sustain > 0) {
+            param.setTargetAtTime(peak * envelope.sustain, decayStart, envelope.decay / 3);
+            return Infinity;
+        }
+        param.exponentialRampToValueAtTime(0.001, decayStart + envelope.decay);
+        return decayStart + envelope.decay;
+    }
+
+    // Fades from wherever the envelope is at `time`; returns when it is silent
+    static release(param, time, envelope) {
+        if (param.cancelAndHoldAtTime) {
+            param.cancelAndHoldAtTime(time);
+        } else {
+            param.cancelScheduledValues(time);
+        }
+        param.setTargetAtTime(0, time, envelope.release / 4);
+        return time + envelope.release;
+    }
+
+    static sanitize(envelope) {
+        const result = {};
+        Object.entries(Envelope.LIMITS).forEach(([key, { min, max }]) => {
+            const value = parseFloat(envelope[key]);
+            if (!isNaN(value)) result[key] = Math.min(max, Math.max(min, value));
+        });
+        return result;
+    }
+}
+
+class SynthInstrument {
+    constructor(id, patch) {
+        this.id = id;
+        this.name = patch.name;
+        this.patch = patch;
+        this.defaultEnvelope = patch.envelope;
+        this.loaded = true;
+    }
+
+    // Returns a voice: { release(time) -> silentAt, endTime, detuneParams }
+    createVoice(ctx, destination, noteNumber, velocity, time, envelope = this.defaultEnvelope) {
+        const { partials, filter } = this.patch;
+        const freq = 440 * Math.pow(2, (noteNumber - 69) / 12);
+        const vol = velocity / 127;
+
+        const gainNode = ctx.createGain();
+        let output = gainNode;
+        if (filter) {
+            const filterNode = ctx.createBiquadFilter();
+            filterNode.type = filter.type;
+            filterNode.frequency.value = filter.frequency;
+            filterNode.Q.value = filter.Q;
+            gainNode.connect(filterNode);
+            output = filterNode;
+        }
+        output.connect(destination);
+
+        const endTime = Envelope.start(gainNode.gain, vol, time, envelope);
+
+        const oscillators = partials.map(partial => {
+            const osc = ctx.createOscillator();
+            osc.type = partial.type;
+            osc.frequency.value = freq * partial.ratio;
+            if (partial.detune) osc.detune.value = partial.detune;
+
+            const partialGain = ctx.createGain();
+            partialGain.gain.value = partial.gain;
+            if (partial.decay) {
+                partialGain.gain.setValueAtTime(partial.gain, time);
+                partialGain.gain.exponentialRampToValueAtTime(0.001, time + partial.decay);
+            }
+
+            osc.connect(partialGain);
+            partialGain.connect(gainNode);
+            osc.start(time);
+            return osc;
+        });
+
+        // Voices without sustain end by themselves
+        if (endTime !== Infinity) oscillators.forEach(osc => osc.stop(endTime));
+
+        return {
+            startTime: time,
+            endTime,
+            detuneParams: oscillators.map(osc => osc.detune),
+            release: (releaseTime) => {
+                const silentAt = Envelope.release(gainNode.gain, releaseTime, envelope);
+                oscillators.forEach(osc => osc.stop(silentAt));
+                return silentAt;
+            },
+            // Cuts the voice without a release, e.g. before it has started
+            stop: (stopTime) => oscillators.forEach(osc => osc.stop(stopTime))
+        };
+    }
+}
+
+// Plays a multi-sample set described by an SFZ-style mapping file. Only the
+// opcodes needed for key/velocity zones are understood: sample, key, lokey,
+// hikey, pitch_keycenter, lovel, hivel, volume, tune and ampeg_release.
+// The envelope shapes the samples' own decay; ampeg_release sets its default release.
+class SamplerInstrument {
+    constructor(id, name, mappingUrl) {
+        this.id = id;
+        this.name = name;
+        this.mappingUrl = mappingUrl;
+        this.defaultEnvelope = { attack: 0.005, decay: 1, sustain: 1, release: 0.3 };
+        this.regions = [];
+        this.loaded = false;
+        this.loading = null;
+    }
+
+    static parseNote(value) {
+        if (/^\d+$/.test(value)) return parseInt(value);
+        const match = /^([a-g])(#|b)?(-?\d+)$/i.exec(value);
+        if (!match) return NaN;
+        let pc = NOTE_NAMES.indexOf(match[1].toUpperCase());
+        if (match[2] === '#') pc++;
+        if (match[2] === 'b') pc--;
+        return (parseInt(match[3]) + 1) * 12 + pc;
+    }
+
+    static parseMapping(text) {
+        const regions = [];
+        let control = {};
+        let group = {};
+        let current = null;
+        let section = null;
+
+        // Strip comments, then walk headers and opcodes in order
+        const tokens = text.replace(/\/\/.*$/gm, '').match(/<\w+>|\w+=[^=<]*?(?=\s+\w+=|\s*<|\s*$)/g) || [];
+        tokens.forEach(token => {
+            if (token.startsWith('<')) {
+                section = token.slice(1, -1);
+                if (section === 'region') {
+                    current = { ...group };
+                    regions.push(current);
+                } else if (section === 'group') {
+                    group = {};
+                    current = group;
+                } else if (section === 'control') {
+                    current = control;
+                } else {
+                    current = null;
+                }
+                return;
+            }
+            if (!current) return;
+            const eq = token.indexOf('=');
+            current[token.slice(0, eq)] = token.slice(eq + 1).trim();
+        });
+
+        const basePath = control.default_path || '';
+        return regions.filter(r => r.sample).map(r => {
+            const key = r.key !== undefined ? SamplerInstrument.parseNote(r.key) : undefined;
+            const lokey = r.lokey !== undefined ? SamplerInstrument.parseNote(r.lokey) : (key !== undefined ? key : 0);
+            const hikey = r.hikey !== undefined ? SamplerInstrument.parseNote(r.hikey) : (key !== undefined ? key : 127);
+            const center = r.pitch_keycenter !== undefined ? SamplerInstrument.parseNote(r.pitch_keycenter) : (key !== undefined ? key : lokey);
+            return {
+                sample: basePath + r.sample.replace(/\\/g, '/'),
+                lokey,
+                hikey,
+                center,
+                lovel: r.lovel !== undefined ? parseInt(r.lovel) : 1,
+                hivel: r.hivel !== undefined ? parseInt(r.hivel) : 127,
+                volume: r.volume !== undefined ? parseFloat(r.volume) : 0,
+                tune: r.tune !== undefined ? parseFloat(r.tune) : 0,
+                release: r.ampeg_release !== undefined ? parseFloat(r.ampeg_release) : undefined
+            };
+        });
+    }
+
+    // Fetches the mapping and decodes every sample it references
+    load(ctx) {
+        if (this.loading) return this.loading;
+
+        this.loading = (async () => {
+            const response = await fetch(this.mappingUrl);
+            if (!response.ok) throw new Error(`Could not load ${this.mappingUrl} (${response.status})`);
+            const regions = SamplerInstrument.parseMapping(await response.text());
+            // Without regions every note would fail, so stay on the synth instead
+            if (regions.length === 0) throw new Error(`${this.mappingUrl} has no regions with a sample`);
+            const baseUrl = new URL(this.mappingUrl, window.location.href);
+
+            // Regions often share samples; decode each file once
+            const buffers = new Map();
+            await Promise.all([...new Set(regions.map(r => r.sample))].map(async sample => {
+                const res = await fetch(new URL(sample, baseUrl));
+                if (!res.ok) throw new Error(`Could not load sample ${sample} (${res.status})`);
+                buffers.set(sample, await ctx.decodeAudioData(await res.arrayBuffer()));
+            }));
+
+            this.regions = regions.map(r => ({ ...r, buffer: buffers.get(r.sample) }));
+            const releases = regions.map(r => r.release).filter(r => r !== undefined);
+            if (releases.length > 0) {
+                this.defaultEnvelope = { ...this.defaultEnvelope, release: Math.max(...releases) };
+            }
+            this.loaded = true;
+        })();
+
+        // Allow a retry after a failed load
+        this.loading.catch(() => { this.loading = null; });
+        return this.loading;
+    }
+
+    findRegion(noteNumber, velocity) {
+        const inVelocity = this.regions.filter(r => velocity >= r.lovel && velocity <= r.hivel);
+        const pool = inVelocity.length > 0 ? inVelocity : this.regions;
+        const exact = pool.find(r => noteNumber >= r.lokey && noteNumber <= r.hikey);
+        if (exact) return exact;
+
+        // Outside every zone: stretch the nearest sample
+        return pool.reduce((best, r) => Math.abs(r.center - noteNumber) < Math.abs(best.center - noteNumber) ? r : best, pool[0]);
+    }
+
+    createVoice(ctx, destination, noteNumber, velocity, time, envelope = this.defaultEnvelope) {
+        const region = this.findRegion(noteNumber, velocity);
+
+        const source = ctx.createBufferSource();
+        source.buffer = region.buffer;
+        // Pitch-shift from the zone's key center
+        source.playbackRate.value = Math.pow(2, (noteNumber - region.center + region.tune / 100) / 12);
+
+        const gainNode = ctx.createGain();
+        const vol = (velocity / 127) * Math.pow(10, region.volume / 20);
+        const envelopeEnd = Envelope.start(gainNode.gain, vol, time, envelope);
+
+        source.connect(gainNode);
+        gainNode.connect(destination);
+        source.start(time);
+
+        const sampleEnd = time + region.buffer.duration / source.playbackRate.value;
+        const endTime = Math.min(sampleEnd, envelopeEnd);
+        source.stop(endTime);
+
+        return {
+            startTime: time,
+            endTime,
+            detuneParams: [source.detune],
+            release: (releaseTime) => {
+                const silentAt = Math.min(endTime, Envelope.release(gainNode.gain, releaseTime, envelope));
+                source.stop(silentAt);
+                return silentAt;
+            },
+            stop: (stopTime) => source.stop(stopTime)
+        };
+    }
+}
+
 class AudioEngine {
     constructor() {
         this.ctx = new (window.AudioContext || window.webkitAudioContext)();
@@ -14,7 +351,30 @@ class AudioEngine {
         this.metronomeGain.gain.value = 0.5;
         this.metronomeGain.connect(this.ctx.destination);
 
-        this.activeOscillators = new Map(); // Map<NoteNumber, {osc, gain}>
+        this.activeVoices = new Map(); // Map<`${source}:${noteNumber}`, voice>
+        this.scheduledVoices = new Set(); // Timeline voices queued ahead of time
+        this.scheduledClicks = new Set();
+
+        // Instruments by id; 'live' is MIDI/mouse playing, 'playback' the timeline
+        this.instruments = new Map();
+        Object.entries(SYNTH_PATCHES).forEach(([id, patch]) => {
+            this.instruments.set(id, new SynthInstrument(id, patch));
+        });
+        this.sourceInstruments = { live: 'classic', playback: 'classic' };
+        this.envelopes = {}; // User envelope overrides by instrument id
+
+        // Pitch bend and modulation (vibrato) for live voices, in cents.
+        // Both are summed into each live voice's detune.
+        this.pitchBend = this.ctx.createConstantSource();
+        this.pitchBend.offset.value = 0;
+        this.pitchBend.start();
+
+        this.vibrato = this.ctx.createOscillator();
+        this.vibrato.frequency.value = 5.5;
+        this.vibratoDepth = this.ctx.createGain();
+        this.vibratoDepth.gain.value = 0;
+        this.vibrato.connect(this.vibratoDepth);
+        this.vibrato.start();
     }
 
     setPianoVolume(value) {
@@ -27,53 +387,190 @@ class AudioEngine {
         this.metronomeGain.gain.value = value / 100;
     }
 
-    playNote(noteNumber, velocity = 127) {
+    // Registers the sample sets listed in the bundled manifest
+    async loadSampleSets(manifestUrl = 'samples/instruments.json') {
+        try {
+            const response = await fetch(manifestUrl);
+            if (!response.ok) return;
+            const sets = await response.json();
+            sets.forEach(set => {
+                const mappingUrl = new URL(set.mapping, new URL(manifestUrl, window.location.href)).href;
+                this.instruments.set(set.id, new SamplerInstrument(set.id, set.name, mappingUrl));
+            });
+        } catch (err) {
+            // Typically file:// pages, where fetch is blocked
+            console.warn('Sample sets unavailable:', err);
+        }
+    }
+
+    getInstrumentList() {
+        return Array.from(this.instruments.values()).map(inst => ({ id: inst.id, name: inst.name }));
+    }
+
+    async setInstrument(source, id) {
+        const instrument = this.instruments.get(id);
+        if (!instrument) return;
+        if (!instrument.loaded) await instrument.load(this.ctx);
+        this.sourceInstruments[source] = id;
+    }
+
+    getEnvelope(instrumentId) {
+        const instrument = this.instruments.get(instrumentId);
+        return { ...(instrument ? instrument.defaultEnvelope : {}), ...this.envelopes[instrumentId] };
+    }
+
+    // Pass null to go back to the patch default
+    setEnvelope(instrumentId, envelope) {
+        if (envelope) {
+            this.envelopes[instrumentId] = Envelope.sanitize(envelope);
+        } else {
+            delete this.envelopes[instrumentId];
+        }
+    }
+
+    getInstrument(source) {
+        const instrument = this.instruments.get(this.sourceInstruments[source]);
+        return instrument && instrument.loaded ? instrument : this.instruments.get('classic');
+    }
+
+    playNote(noteNumber, velocity = 127, source = 'live') {
         if (this.ctx.state === 'suspended') {
             this.ctx.resume();
         }
 
         // Stop existing note if playing
-        this.stopNote(noteNumber);
+        this.stopNote(noteNumber, source);
 
-        const freq = 440 * Math.pow(2, (noteNumber - 69) / 12);
+        const key = `${source}:${noteNumber}`;
+        const voice = this.createVoice(this.ctx, this.masterGain, noteNumber, velocity, this.ctx.currentTime, source);
+
+        if (source === 'live') {
+            voice.detuneParams.forEach(param => {
+                this.pitchBend.connect(param);
+                this.vibratoDepth.connect(param);
+            });
+        }
 
-        const osc = this.ctx.createOscillator();
-        const gainNode = this.ctx.createGain();
+        // Auto cleanup
+        if (voice.endTime !== Infinity) {
+            setTimeout(() => {
+                if (this.activeVoices.get(key) === voice) {
+                    this.activeVoices.delete(key);
+                    this.disconnectControls(voice);
+                }
+            }, (voice.endTime - this.ctx.currentTime) * 1000);
+        }
 
-        osc.type = 'triangle'; // Softer than square/sawtooth
-        osc.frequency.value = freq;
+        this.activeVoices.set(key, voice);
+    }
 
-        // Velocity handling
-        const vol = (velocity / 127);
-        gainNode.gain.setValueAtTime(0, this.ctx.currentTime);
-        gainNode.gain.linearRampToValueAtTime(vol, this.ctx.currentTime + 0.01);
-        gainNode.gain.exponentialRampToValueAtTime(0.001, this.ctx.currentTime + 1.5); // Decay
+    stopNote(noteNumber, source = 'live') {
+        const key = `${source}:${noteNumber}`;
+        const active = this.activeVoices.get(key);
+        if (active) {
+            this.releaseVoice(active);
+            this.activeVoices.delete(key);
+        }
+    }
 
-        osc.connect(gainNode);
-        gainNode.connect(this.masterGain);
+    stopAllNotes() {
+        this.activeVoices.forEach(voice => this.releaseVoice(voice));
+        this.activeVoices.clear();
+    }
 
-        osc.start();
+    releaseVoice(voice) {
+        const silentAt = voice.release(this.ctx.currentTime);
+        setTimeout(() => this.disconnectControls(voice), (silentAt - this.ctx.currentTime) * 1000 + 50);
+    }
 
-        // Auto cleanup
-        osc.stop(this.ctx.currentTime + 1.5);
-        setTimeout(() => {
-            if (this.activeOscillators.get(noteNumber)?.osc === osc) {
-                this.activeOscillators.delete(noteNumber);
+    // Controller connections would otherwise keep finished voices alive
+    disconnectControls(voice) {
+        voice.detuneParams.forEach(param => {
+            try {
+                this.pitchBend.disconnect(param);
+                this.vibratoDepth.disconnect(param);
+            } catch (e) {
+                // Not a live voice, nothing was connected
             }
-        }, 1500);
+        });
+    }
 
-        this.activeOscillators.set(noteNumber, { osc, gain: gainNode });
+    setPitchBend(cents) {
+        this.pitchBend.offset.setTargetAtTime(cents, this.ctx.currentTime, 0.005);
     }
 
-    stopNote(noteNumber) {
-        const active = this.activeOscillators.get(noteNumber);
-        if (active) {
-            // Quick release
-            active.gain.gain.cancelScheduledValues(this.ctx.currentTime);
-            active.gain.gain.setTargetAtTime(0, this.ctx.currentTime, 0.05);
-            active.osc.stop(this.ctx.currentTime + 0.1);
-            this.activeOscillators.delete(noteNumber);
+    setModulation(cents) {
+        this.vibratoDepth.gain.setTargetAtTime(cents, this.ctx.currentTime, 0.02);
+    }
+
+    // Voice building works on any context, so offline renders sound like live playback
+    createVoice(ctx, destination, noteNumber, velocity, time, source = 'live') {
+        const instrument = this.getInstrument(source);
+        return instrument.createVoice(ctx, destination, noteNumber, velocity, time, this.getEnvelope(instrument.id));
+    }
+
+    // accent: 'downbeat', 'group', 'beat' or 'subdivision'
+    createClick(ctx, destination, time, accent = 'beat') {
+        const clickSounds = {
+            downbeat: { frequency: 1500, gain: 0.15 },
+            group: { frequency: 1200, gain: 0.12 },
+            beat: { frequency: 1000, gain: 0.1 },
+            subdivision: { frequency: 800, gain: 0.05 }
+        };
+        const sound = clickSounds[accent] || clickSounds.beat;
+
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.frequency.value = sound.frequency;
+        osc.type = 'square';
+        gain.gain.value = sound.gain;
+
+        osc.connect(gain);
+        gain.connect(destination);
+
+        osc.start(time);
+        osc.stop(time + 0.05);
+        return osc;
+    }
+
+    // Timeline playback is scheduled ahead of time; anything not yet heard
+    // can be cut by cancelScheduled()
+    scheduleNote(noteNumber, velocity, time, source = 'playback') {
+        const voice = this.createVoice(this.ctx, this.masterGain, noteNumber, velocity, time, source);
+        this.scheduledVoices.add(voice);
+        return voice;
+    }
+
+    releaseScheduled(voice, time) {
+        const silentAt = voice.release(time);
+        setTimeout(() => this.scheduledVoices.delete(voice), (silentAt - this.ctx.currentTime) * 1000 + 50);
+    }
+
+    scheduleClick(time, accent) {
+        const osc = this.createClick(this.ctx, this.metronomeGain, time, accent);
+        this.scheduledClicks.add(osc);
+        osc.onended = () => this.scheduledClicks.delete(osc);
+    }
+
+    cancelScheduled() {
+        const now = this.ctx.currentTime;
+        // Releasing a voice that hasn't started would cancel its envelope start and let it sound
+        this.scheduledVoices.forEach(voice => {
+            if (voice.startTime > now) voice.stop(now);
+            else voice.release(now);
+        });
+        this.scheduledVoices.clear();
+        this.scheduledClicks.forEach(osc => osc.stop(now));
+        this.scheduledClicks.clear();
+    }
+
+    // Converts an AudioContext time to the performance.now() clock used by Web MIDI
+    toPerformanceTime(time) {
+        if (this.ctx.getOutputTimestamp) {
+            const stamp = this.ctx.getOutputTimestamp();
+            if (stamp.performanceTime) return stamp.performanceTime + (time - stamp.contextTime) * 1000;
         }
+        return performance.now() + (time - this.ctx.currentTime) * 1000;
     }
 }
 
@@ -83,6 +580,74 @@ class MidiEngine {
         this.ui = ui;
         this.midiAccess = null;
         this.inputs = [];
+
+        // Pedal state
+        this.pressedNotes = new Set(); // Keys physically down
+        this.heldNotes = new Set(); // Released keys kept sounding by a pedal
+        this.sustainDown = false;
+        this.sostenutoNotes = new Set(); // Keys latched when sostenuto was pressed
+        this.sostenutoDown = false;
+        this.softDown = false;
+
+        // Input selection, remembered by device name since ids can change
+        this.selectedInputName = null; // null listens to every input
+        this.channelFilters = {}; // Map<inputName, channel 0-15>
+
+        // Output to external synths
+        this.outputs = [];
+        this.selectedOutputName = null; // null sends nothing
+        this.outputChannel = 0;
+        this.thruEnabled = false;
+        this.outputNotes = new Set(); // Notes we have sent note-on for
+        this.pendingNoteOns = new Map(); // note -> latest timestamp of a note-on sent ahead of time
+
+        // Step entry: notes held together are reported as one chord once all keys are up
+        this.stepRecording = false;
+        this.stepNotes = new Set();
+        this.onChord = null; // (noteNumbers) => void
+        this.onNotesChanged = null; // (pressedNotes, note, isNoteOn) => void, after the UI has updated
+        this.onNoteEvent = null; // (note, velocity, isNoteOn) => void, for performance recording
+        this.loadPreferences();
+    }
+
+    setStepRecording(enabled) {
+        this.stepRecording = enabled;
+        this.stepNotes.clear();
+    }
+
+    loadPreferences() {
+        const saved = localStorage.getItem('pianoAppMidiInput');
+        if (!saved) return;
+        try {
+            const prefs = JSON.parse(saved);
+            this.selectedInputName = prefs.inputName || null;
+            this.channelFilters = prefs.channelFilters || {};
+        } catch (e) {
+            console.error('Failed to load MIDI preferences:', e);
+        }
+
+        const savedOutput = localStorage.getItem('pianoAppMidiOutput');
+        if (!savedOutput) return;
+        try {
+            const prefs = JSON.parse(savedOutput);
+            this.selectedOutputName = prefs.outputName || null;
+            this.outputChannel = prefs.channel || 0;
+            this.thruEnabled = !!prefs.thru;
+        } catch (e) {
+            console.error('Failed to load MIDI output preferences:', e);
+        }
+    }
+
+    savePreferences() {
+        localStorage.setItem('pianoAppMidiInput', JSON.stringify({
+            inputName: this.selectedInputName,
+            channelFilters: this.channelFilters
+        }));
+        localStorage.setItem('pianoAppMidiOutput', JSON.stringify({
+            outputName: this.selectedOutputName,
+            channel: this.outputChannel,
+            thru: this.thruEnabled
+        }));
     }
 
     async init() {
@@ -90,6 +655,7 @@ class MidiEngine {
         if (!navigator.requestMIDIAccess) {
             console.warn("Web MIDI API not supported in this browser.");
             this.ui.updateMidiSelect([]);
+            this.ui.updateMidiOutputSelect([], null, this.outputChannel, this.thruEnabled);
             return;
         }
 
@@ -99,6 +665,7 @@ class MidiEngine {
             console.log("MidiEngine: Access granted", this.midiAccess);
             this.midiAccess.onstatechange = (e) => this.onStateChange(e);
             this.updateInputs();
+            this.updateOutputs();
         } catch (err) {
             console.error("MIDI Access Failed", err);
             // Check if running on file://
@@ -111,33 +678,251 @@ class MidiEngine {
     }
 
     updateInputs() {
-        this.inputs = Array.from(this.midiAccess.inputs.values());
+        this.inputs = Array.from(this.midiAccess.inputs.values()).filter(input => input.state !== 'disconnected');
         console.log("MidiEngine: Inputs found:", this.inputs.length, this.inputs);
-        this.ui.updateMidiSelect(this.inputs);
+        this.ui.updateMidiSelect(this.inputs, this.selectedInputName, this.getChannelFilter(this.selectedInputName));
 
-        // Auto-connect to first input
+        // Listen to the chosen input only, or every input for "All"
         this.inputs.forEach(input => {
-            input.onmidimessage = (e) => this.handleMidiMessage(e);
+            const listening = this.selectedInputName === null || input.name === this.selectedInputName;
+            input.onmidimessage = listening ? (e) => this.handleMidiMessage(e, input) : null;
         });
     }
 
     onStateChange(e) {
         console.log("MIDI State Change", e);
+        const port = e.port;
+
+        // Re-attaching happens in updateInputs once the device is back
+        if (port.type === 'input' && port.name === this.selectedInputName) {
+            if (port.state === 'disconnected') {
+                this.allNotesOff();
+                this.ui.showNotification(`${port.name} disconnected`);
+            } else if (port.state === 'connected' && !this.inputs.some(input => input.id === port.id)) {
+                this.ui.showNotification(`${port.name} reconnected`);
+            }
+        }
         this.updateInputs();
+        this.updateOutputs();
+    }
+
+    updateOutputs() {
+        this.outputs = Array.from(this.midiAccess.outputs.values()).filter(output => output.state !== 'disconnected');
+        this.ui.updateMidiOutputSelect(this.outputs, this.selectedOutputName, this.outputChannel, this.thruEnabled);
+    }
+
+    getOutput() {
+        if (this.selectedOutputName === null) return null;
+        return this.outputs.find(output => output.name === this.selectedOutputName) || null;
+    }
+
+    selectOutput(name) {
+        this.sendAllNotesOff();
+        this.selectedOutputName = name;
+        this.savePreferences();
+    }
+
+    setOutputChannel(channel) {
+        this.sendAllNotesOff();
+        this.outputChannel = channel;
+        this.savePreferences();
+    }
+
+    setThru(enabled) {
+        this.thruEnabled = enabled;
+        this.savePreferences();
+    }
+
+    // timestamp is on the performance.now() clock; omit to send immediately
+    send(data, timestamp) {
+        const output = this.getOutput();
+        if (!output) return;
+        try {
+            output.send(data, timestamp);
+        } catch (err) {
+            console.error('MIDI send failed', err);
+        }
+    }
+
+    sendNoteOn(note, velocity, timestamp) {
+        this.send([0x90 | this.outputChannel, note, velocity], timestamp);
+        this.outputNotes.add(note);
+        if (timestamp !== undefined && timestamp > (this.pendingNoteOns.get(note) || 0)) {
+            this.pendingNoteOns.set(note, timestamp);
+        }
+    }
+
+    sendNoteOff(note, timestamp) {
+        this.send([0x80 | this.outputChannel, note, 0], timestamp);
+        this.outputNotes.delete(note);
+    }
+
+    // Explicit note-offs first, since not every synth honours CC 123
+    sendAllNotesOff() {
+        const output = this.getOutput();
+        if (output && output.clear) output.clear(); // Drop messages queued ahead of time
+
+        const messages = [
+            ...Array.from(this.outputNotes).map(note => [0x80 | this.outputChannel, note, 0]),
+            [0xB0 | this.outputChannel, 64, 0], // Sustain off
+            [0xB0 | this.outputChannel, 123, 0] // All Notes Off
+        ];
+        messages.forEach(message => this.send(message));
+
+        // Without clear() (Chrome), note-ons queued ahead still arrive, so each gets a
+        // note-off just after it. A delayed CC 123 would also cut a transport that restarts at once.
+        const now = performance.now();
+        this.pendingNoteOns.forEach((timestamp, note) => {
+            if (timestamp > now) this.send([0x80 | this.outputChannel, note, 0], timestamp + 1);
+        });
+        this.pendingNoteOns.clear();
+        this.outputNotes.clear();
+    }
+
+    selectInput(name) {
+        this.allNotesOff();
+        this.selectedInputName = name;
+        this.savePreferences();
+        if (this.midiAccess) this.updateInputs();
     }
 
-    handleMidiMessage(e) {
+    getChannelFilter(inputName) {
+        const channel = this.channelFilters[inputName];
+        return channel === undefined ? null : channel;
+    }
+
+    // channel is 0-15, or null to accept every channel
+    setChannelFilter(inputName, channel) {
+        if (channel === null) {
+            delete this.channelFilters[inputName];
+        } else {
+            this.channelFilters[inputName] = channel;
+        }
+        this.savePreferences();
+    }
+
+    handleMidiMessage(e, input) {
         const [command, note, velocity] = e.data;
         const cmd = command >> 4;
 
+        // Channel messages only; clock, active sensing etc. are ignored
+        if (command >= 0xF0) return;
+        const channelFilter = input ? this.getChannelFilter(input.name) : null;
+        if (channelFilter !== null && (command & 0x0F) !== channelFilter) return;
+
+        // Thru: forward on the output channel; the external synth handles its own pedals
+        if (this.thruEnabled) {
+            this.send([(command & 0xF0) | this.outputChannel, ...Array.from(e.data).slice(1)]);
+        }
+
         if (cmd === 9 && velocity > 0) { // Note On
-            this.audioEngine.playNote(note, velocity);
-            this.ui.highlightKey(note, true);
+            this.noteOn(note, velocity);
+            if (this.onNotesChanged) this.onNotesChanged(this.pressedNotes, note, true);
+            if (this.onNoteEvent) this.onNoteEvent(note, velocity, true);
         } else if (cmd === 8 || (cmd === 9 && velocity === 0)) { // Note Off
+            this.noteOff(note);
+            if (this.onNotesChanged) this.onNotesChanged(this.pressedNotes, note, false);
+            if (this.onNoteEvent) this.onNoteEvent(note, 0, false);
+        } else if (cmd === 0xB) { // Control Change
+            this.handleControlChange(note, velocity);
+        } else if (cmd === 0xE) { // Pitch Bend, 14-bit centred on 8192
+            const value = ((velocity << 7) | note) - 8192;
+            this.audioEngine.setPitchBend((value / 8192) * 200); // +/- 2 semitones
+        }
+    }
+
+    noteOn(note, velocity) {
+        // Soft pedal (una corda) plays quieter
+        const vel = this.softDown ? Math.round(velocity * 0.6) : velocity;
+        this.pressedNotes.add(note);
+        this.heldNotes.delete(note);
+        if (this.stepRecording) this.stepNotes.add(note);
+        this.audioEngine.playNote(note, vel);
+        this.ui.highlightKey(note, true);
+    }
+
+    noteOff(note) {
+        this.pressedNotes.delete(note);
+
+        if (this.stepRecording && this.pressedNotes.size === 0 && this.stepNotes.size > 0) {
+            const notes = [...this.stepNotes].sort((a, b) => a - b);
+            this.stepNotes.clear();
+            if (this.onChord) this.onChord(notes);
+        }
+
+        if (this.sustainDown || this.sostenutoNotes.has(note)) {
+            this.heldNotes.add(note);
+            this.ui.highlightKey(note, true, 'sustained');
+            return;
+        }
+
+        this.audioEngine.stopNote(note);
+        this.ui.highlightKey(note, false);
+    }
+
+    // Stops pedal-held notes that no pedal is holding any more
+    releaseHeldNotes() {
+        this.heldNotes.forEach(note => {
+            if (this.sustainDown || this.sostenutoNotes.has(note)) return;
+            this.heldNotes.delete(note);
             this.audioEngine.stopNote(note);
             this.ui.highlightKey(note, false);
+        });
+    }
+
+    handleControlChange(controller, value) {
+        const down = value >= 64;
+
+        switch (controller) {
+            case 1: // Modulation wheel
+                this.audioEngine.setModulation((value / 127) * 50);
+                break;
+            case 64: // Sustain (damper)
+                this.sustainDown = down;
+                if (!down) this.releaseHeldNotes();
+                break;
+            case 66: // Sostenuto: latch only the keys down right now
+                if (down && !this.sostenutoDown) {
+                    this.sostenutoNotes = new Set(this.pressedNotes);
+                } else if (!down) {
+                    this.sostenutoNotes.clear();
+                    this.releaseHeldNotes();
+                }
+                this.sostenutoDown = down;
+                break;
+            case 67: // Soft (una corda)
+                this.softDown = down;
+                break;
+            case 120: // All Sound Off
+            case 123: // All Notes Off
+                this.allNotesOff();
+                break;
+            case 121: // Reset All Controllers
+                this.resetControllers();
+                break;
         }
     }
+
+    allNotesOff() {
+        [...this.pressedNotes, ...this.heldNotes].forEach(note => {
+            this.audioEngine.stopNote(note);
+            this.ui.highlightKey(note, false);
+        });
+        this.pressedNotes.clear();
+        this.heldNotes.clear();
+        this.sostenutoNotes.clear();
+        this.stepNotes.clear();
+    }
+
+    resetControllers() {
+        this.sustainDown = false;
+        this.sostenutoDown = false;
+        this.softDown = false;
+        this.sostenutoNotes.clear();
+        this.releaseHeldNotes();
+        this.audioEngine.setPitchBend(0);
+        this.audioEngine.setModulation(0);
+    }
 }
 
 
@@ -192,29 +977,119 @@ class AppUI {
         }, 2000);
     }
 
-    updateMidiSelect(inputs) {
+    downloadFile(data, filename, mimeType) {
+        const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    updateMidiOutputSelect(outputs, selectedName, channel, thru) {
+        const select = document.getElementById('midi-output');
+        if (!select) return;
+        select.innerHTML = '';
+
+        const none = document.createElement('option');
+        none.value = '';
+        none.text = 'None';
+        select.add(none);
+
+        outputs.forEach(output => {
+            const opt = document.createElement('option');
+            opt.value = output.name;
+            opt.text = output.name;
+            select.add(opt);
+        });
+
+        if (selectedName !== null && !outputs.some(output => output.name === selectedName)) {
+            const opt = document.createElement('option');
+            opt.value = selectedName;
+            opt.text = `${selectedName} (disconnected)`;
+            select.add(opt);
+        }
+        select.value = selectedName === null ? '' : selectedName;
+
+        const channelSelect = document.getElementById('midi-output-channel');
+        if (channelSelect) channelSelect.value = channel;
+        const thruToggle = document.getElementById('midi-thru');
+        if (thruToggle) thruToggle.checked = thru;
+    }
+
+    updateInstrumentSelects(instruments, selected) {
+        ['live', 'playback'].forEach(source => {
+            const select = document.getElementById(`${source}-instrument`);
+            if (!select) return;
+            select.innerHTML = '';
+            instruments.forEach(inst => {
+                const opt = document.createElement('option');
+                opt.value = inst.id;
+                opt.text = inst.name;
+                select.add(opt);
+            });
+            select.value = selected[source];
+        });
+    }
+
+    updateSongTitle(name, isDirty) {
+        const title = document.getElementById('song-title');
+        if (!title) return;
+        title.textContent = isDirty ? `${name} •` : name;
+        title.title = isDirty ? 'Unsaved changes' : 'Saved';
+        title.classList.toggle('dirty', isDirty);
+    }
+
+    updateMidiSelect(inputs, selectedName = null, channelFilter = null) {
         if (!this.midiSelect) return;
         this.midiSelect.innerHTML = '';
-        if (inputs.length === 0) {
+
+        const channelSelect = document.getElementById('midi-channel');
+        if (channelSelect) {
+            // The filter belongs to one input, so it needs one selected
+            channelSelect.value = channelFilter === null ? '' : channelFilter;
+            channelSelect.disabled = selectedName === null;
+        }
+
+        if (inputs.length === 0 && selectedName === null) {
             const opt = document.createElement('option');
+            opt.value = '*';
             opt.text = "No MIDI Devices Found";
             this.midiSelect.add(opt);
             return;
         }
 
+        const all = document.createElement('option');
+        all.value = '*';
+        all.text = 'All Inputs';
+        this.midiSelect.add(all);
+
         inputs.forEach(input => {
             const opt = document.createElement('option');
-            opt.value = input.id;
+            opt.value = input.name;
             opt.text = input.name;
             this.midiSelect.add(opt);
         });
+
+        // Keep showing a remembered device while it is unplugged
+        if (selectedName !== null && !inputs.some(input => input.name === selectedName)) {
+            const opt = document.createElement('option');
+            opt.value = selectedName;
+            opt.text = `${selectedName} (disconnected)`;
+            this.midiSelect.add(opt);
+        }
+
+        this.midiSelect.value = selectedName === null ? '*' : selectedName;
     }
 
     highlightKey(note, isActive, type = 'manual') {
         const key = this.keyMap.get(note);
         if (key) {
             // Remove all active classes first to avoid conflicts
-            key.classList.remove('active', 'manual', 'auto');
+            key.classList.remove('active', 'manual', 'auto', 'sustained', 'correct', 'missing', 'wrong', 'melody');
 
             if (isActive) {
                 key.classList.add('active', type);
@@ -250,6 +1125,34 @@ class AppUI {
             chordEl.textContent = 'Rest';
         } else {
             chordEl.innerHTML = `${chord.name}<span class="inversion-indicator">${this.getInversionLabel(chord.inversion)}</span>`;
+            if (chord.pattern) {
+                chordEl.innerHTML += `<span class="pattern-indicator">${RhythmPattern.PATTERNS[chord.pattern].name}</span>`;
+            }
+            const analysis = KeyAnalysis.analyze(chord, this.analysisKey);
+            if (analysis) {
+                chordEl.innerHTML += `<span class="roman-numeral ${analysis.kind}" title="${analysis.kind}">${analysis.numeral}</span>`;
+            }
+        }
+
+        // Section colour on every chord, its name on the first chord of each run
+        const section = chord.section ? window.app.getSection(chord.section) : null;
+        if (section) {
+            chordEl.style.borderTop = `3px solid ${section.color}`;
+            const previous = window.app.chords[index - 1];
+            if (!previous || previous.section !== chord.section) {
+                chordEl.classList.add('section-start');
+                const label = document.createElement('span');
+                label.className = 'section-label';
+                label.style.backgroundColor = section.color;
+                label.textContent = section.repeat > 1 ? `${section.name} ×${section.repeat}` : section.name;
+                chordEl.prepend(label);
+            }
+        }
+        if (chord.ending) {
+            chordEl.insertAdjacentHTML('beforeend', `<span class="ending-indicator" title="Plays on pass ${chord.ending}">${chord.ending}.</span>`);
+        }
+        if (chord.fermata) {
+            chordEl.insertAdjacentHTML('beforeend', '<span class="fermata-indicator" title="Fermata">𝄐</span>');
         }
 
         chordEl.draggable = true;
@@ -331,6 +1234,8 @@ class AppUI {
         const menu = document.getElementById('context-menu');
         if (!menu) return;
 
+        this.updateSectionSubmenu(window.app.sections);
+
         // Position menu
         menu.style.display = 'block';
         menu.style.left = `${e.pageX}px`;
@@ -351,6 +1256,11 @@ class AppUI {
                 else if (action === 'cut') window.app.cutSelection();
                 else if (action === 'paste') window.app.pasteSelection();
                 else if (action === 'delete') window.app.deleteSelection();
+                else if (action === 'transpose') window.app.transpose(parseInt(value));
+                else if (action === 'voice-lead') window.app.applyVoiceLeading();
+                else if (action === 'section') window.app.setSelectedSection(value);
+                else if (action === 'ending') window.app.setSelectedEnding(value);
+                else if (action === 'tempo') window.app.editSelectedTempo(value);
                 else if (action && value) window.app.updateSelectedChords(action, value);
 
                 this.hideContextMenu();
@@ -365,6 +1275,21 @@ class AppUI {
         setTimeout(() => document.addEventListener('click', closeMenu), 0);
     }
 
+    updateSectionSubmenu(sections) {
+        const submenu = document.getElementById('section-submenu');
+        if (!submenu) return;
+        submenu.innerHTML = '<div class="menu-item" data-action="section" data-value="new">New Section…</div>' +
+            '<div class="menu-item" data-action="section" data-value="none">None</div>';
+        sections.forEach(section => {
+            const item = document.createElement('div');
+            item.className = 'menu-item';
+            item.dataset.action = 'section';
+            item.dataset.value = section.id;
+            item.textContent = section.name;
+            submenu.appendChild(item);
+        });
+    }
+
     hideContextMenu() {
         const menu = document.getElementById('context-menu');
         if (menu) menu.style.display = 'none';
@@ -383,13 +1308,54 @@ class AppUI {
     }
 
     getInversionLabel(inv) {
-        if (!inv) return '';
-        return inv === 1 ? '1st Inv' : inv === 2 ? '2nd Inv' : '';
+        return inv ? INVERSION_NAMES[inv] || '' : '';
+    }
+
+    // Quality select, bass select and the context menu are built from CHORD_TYPES
+    populateChordOptions() {
+        const typeOptions = [...CHORD_TYPES];
+
+        const qualitySelect = document.getElementById('chord-quality');
+        if (qualitySelect) {
+            qualitySelect.innerHTML = typeOptions.map(([type, def]) => `<option value="${type}">${def.name}</option>`).join('');
+        }
+
+        const bassSelect = document.getElementById('chord-bass');
+        if (bassSelect) {
+            bassSelect.innerHTML = '<option value="">Root</option>' + NOTE_NAMES.map(note => `<option value="${note}">/${note}</option>`).join('');
+        }
+
+        const typeMenu = document.getElementById('type-submenu');
+        if (typeMenu) {
+            typeMenu.innerHTML = typeOptions
+                .map(([type, def]) => `<div class="menu-item" data-action="type" data-value="${type}">${def.name}</div>`)
+                .join('');
+        }
+
+        const inversionMenu = document.getElementById('inversion-submenu');
+        if (inversionMenu) {
+            inversionMenu.innerHTML = INVERSION_NAMES
+                .map((name, inv) => `<div class="menu-item" data-action="inversion" data-value="${inv}">${name}</div>`)
+                .join('');
+        }
+
+        const bassMenu = document.getElementById('bass-submenu');
+        if (bassMenu) {
+            bassMenu.innerHTML = '<div class="menu-item" data-action="bass" data-value="none">None</div>' +
+                NOTE_NAMES.map(note => `<div class="menu-item" data-action="bass" data-value="${note}">/${note}</div>`).join('');
+        }
     }
 
     setupTimelineDrag() {
+        const isFileDrag = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
         this.chordTimeline.addEventListener('dragover', (e) => {
             e.preventDefault(); // Allow dropping
+            if (isFileDrag(e)) {
+                e.dataTransfer.dropEffect = 'copy';
+                this.chordTimeline.classList.add('file-drop');
+                return;
+            }
             const afterElement = this.getDragAfterElement(this.chordTimeline, e.clientX);
             const draggable = document.querySelector('.dragging');
             if (draggable) {
@@ -401,8 +1367,26 @@ class AppUI {
             }
         });
 
+        this.chordTimeline.addEventListener('dragleave', (e) => {
+            if (!this.chordTimeline.contains(e.relatedTarget)) {
+                this.chordTimeline.classList.remove('file-drop');
+            }
+        });
+
         this.chordTimeline.addEventListener('drop', (e) => {
             e.preventDefault();
+            this.chordTimeline.classList.remove('file-drop');
+
+            // MIDI file dropped from the desktop
+            if (isFileDrag(e)) {
+                const file = Array.from(e.dataTransfer.files).find(f => /\.midi?$/i.test(f.name));
+                if (file) {
+                    window.app.importMidiFile(file);
+                } else {
+                    this.showNotification('Drop a .mid file to import it');
+                }
+                return;
+            }
             // Re-calculate order based on DOM
             const newOrderIndices = Array.from(this.chordTimeline.children)
                 .filter(el => el.classList.contains('chord-item'))
@@ -548,11 +1532,17 @@ class AppUI {
     }
 
     clearTimeline() {
-        this.chordTimeline.innerHTML = '<div class="empty-state">No chords added yet. Press a button above to start.</div>';
+        this.chordTimeline.innerHTML = '<div class="empty-state">No chords added yet. Press a button above to start, or drop a MIDI file here.</div>';
         this.removeMarkers();
     }
 
     refreshTimeline(chords) {
+        // Numerals and the palette follow the song key, which may be estimated from the chords
+        if (window.app) {
+            this.analysisKey = window.app.getSongKey();
+            this.updateKeyDisplay(this.analysisKey);
+        }
+
         this.chordTimeline.innerHTML = '';
         if (chords.length === 0) {
             this.clearTimeline();
@@ -561,16 +1551,183 @@ class AppUI {
                 this.addChordToTimeline(chord, index);
             });
             this.renderMarkers();
+            this.renderBarLines();
         }
         this.updatePlaybackBar(chords.length);
+        // The piano roll's length and chord lines follow the chords
+        if (window.app) this.renderNoteTrack(window.app.notes);
+        if (window.app && window.app.arrangementView) window.app.arrangementView.render();
+        if (window.app && window.app.tempoLane) window.app.tempoLane.render();
     }
 
-    // Marker Logic
-    renderMarkers() {
-        this.removeMarkers();
+    // Note count beside the recording controls, plus the piano roll
+    renderNoteTrack(notes) {
+        const info = document.getElementById('note-track-info');
+        if (info) info.textContent = notes.length > 0 ? `${notes.length} melody notes` : '';
+        if (window.app && window.app.pianoRoll) window.app.pianoRoll.render();
+    }
 
-        // Create markers
-        this.playHead = this.createMarker('play-head', 'Play');
+    // Bar lines sit in the gap before a chord, or inside a chord that spans a bar boundary
+    renderBarLines() {
+        this.chordTimeline.querySelectorAll('.bar-line').forEach(line => line.remove());
+        if (!window.app) return;
+
+        const numerator = window.app.timeSignature.numerator;
+        const chordEls = this.chordTimeline.querySelectorAll('.chord-item');
+        let beat = 0;
+        window.app.chords.forEach((chord, index) => {
+            const el = chordEls[index];
+            const duration = chord.duration || 4;
+            if (!el) return;
+
+            for (let barBeat = Math.ceil(beat / numerator) * numerator; barBeat < beat + duration; barBeat += numerator) {
+                const line = document.createElement('div');
+                line.className = 'bar-line';
+                line.dataset.bar = barBeat / numerator + 1;
+                line.style.left = barBeat === beat
+                    ? `${el.offsetLeft - 5}px`
+                    : `${el.offsetLeft + (barBeat - beat) * el.offsetWidth / duration}px`;
+                this.chordTimeline.appendChild(line);
+            }
+            beat += duration;
+        });
+    }
+
+    populateKeyOptions() {
+        const select = document.getElementById('song-key');
+        if (!select) return;
+        select.innerHTML = '<option value="auto">Auto</option>' + ['major', 'minor'].map(mode =>
+            NOTE_NAMES.map(tonic => `<option value="${tonic}:${mode}">${KeyAnalysis.getKeyName({ tonic, mode })}</option>`).join('')
+        ).join('');
+    }
+
+    // Range limits from the lowest to the highest key on the on-screen piano
+    populateVoiceRangeOptions() {
+        const options = [];
+        for (let note = 48; note <= 84; note++) {
+            options.push(`<option value="${note}">${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}</option>`);
+        }
+        ['voice-range-low', 'voice-range-high'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.innerHTML = options.join('');
+        });
+    }
+
+    updateVoiceLeadingControls(voiceLeading) {
+        document.getElementById('voice-leading').checked = voiceLeading.enabled;
+        document.getElementById('voice-constraint').value = voiceLeading.constraint;
+        document.getElementById('voice-range-low').value = voiceLeading.low;
+        document.getElementById('voice-range-high').value = voiceLeading.high;
+    }
+
+    // Target tonics for "transpose to key", spelled in the song's mode
+    updateTransposeOptions(key) {
+        const select = document.getElementById('transpose-key');
+        if (!select) return;
+        const mode = key ? key.mode : 'major';
+        select.innerHTML = '<option value="">To key…</option>' +
+            NOTE_NAMES.map(tonic => `<option value="${tonic}">${KeyAnalysis.getKeyName({ tonic, mode })}</option>`).join('');
+        select.disabled = !key;
+    }
+
+    updateKeyDisplay(key) {
+        this.updateTransposeOptions(key);
+        const autoOption = document.querySelector('#song-key option[value="auto"]');
+        if (autoOption) {
+            autoOption.textContent = !window.app.key && key ? `Auto (${KeyAnalysis.getKeyName(key)})` : 'Auto';
+        }
+        this.renderDiatonicPalette(key);
+    }
+
+    // One button per scale degree that inserts that chord
+    renderDiatonicPalette(key) {
+        const palette = document.getElementById('diatonic-palette');
+        if (!palette) return;
+        palette.innerHTML = '';
+        if (!key) {
+            palette.innerHTML = '<span class="palette-empty">Pick a key or add chords to see its diatonic chords</span>';
+            return;
+        }
+
+        const sevenths = document.getElementById('palette-sevenths').checked;
+        KeyAnalysis.getDiatonicChords(key, sevenths).forEach(chord => {
+            const btn = document.createElement('button');
+            btn.className = 'palette-btn';
+            btn.innerHTML = `${chord.numeral}<span class="palette-chord">${window.app.getChordName(chord.root, chord.type, null, key)}</span>`;
+            btn.addEventListener('click', () => window.app.addChord(chord.root, chord.type));
+            palette.appendChild(btn);
+        });
+    }
+
+    // Song pattern select plus the per-chord pattern submenu
+    populatePatternOptions() {
+        const select = document.getElementById('rhythm-pattern');
+        const submenu = document.getElementById('pattern-submenu');
+        const patterns = Object.entries(RhythmPattern.PATTERNS);
+
+        if (select) {
+            select.innerHTML = patterns.map(([id, p]) => `<option value="${id}">${p.name}</option>`).join('');
+        }
+        if (submenu) {
+            submenu.innerHTML = '<div class="menu-item" data-action="pattern" data-value="song">Song Default</div>' +
+                patterns.map(([id, p]) => `<div class="menu-item" data-action="pattern" data-value="${id}">${p.name}</div>`).join('');
+        }
+    }
+
+    updateRhythmControls(rhythm) {
+        document.getElementById('rhythm-pattern').value = rhythm.pattern;
+        document.getElementById('rhythm-subdivision').value = rhythm.subdivision;
+        document.getElementById('strum-spread').value = rhythm.spread;
+        document.getElementById('strum-spread-value').textContent = `${rhythm.spread} ms`;
+    }
+
+    // Durations are whole fractions of a bar: "1 Bar", "1/2 Bar", "1/6 Bar"
+    getDurationLabel(beats, numerator) {
+        return beats === numerator ? '1 Bar' : `1/${numerator / beats} Bar`;
+    }
+
+    // Projects may use meters the select doesn't list (e.g. 3/2 or 7/16), so those are added on demand
+    updateTimeSignatureSelect({ numerator, denominator }) {
+        const select = document.getElementById('time-signature');
+        const value = `${numerator}/${denominator}`;
+        if (![...select.options].some(option => option.value === value)) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.text = value;
+            select.add(opt);
+        }
+        select.value = value;
+    }
+
+    // Duration choices follow the time signature: a bar, half a bar (if whole beats) and a beat
+    updateDurationOptions(numerator) {
+        const durations = [...new Set([numerator, numerator / 2, 1])].filter(d => Number.isInteger(d) && d >= 1);
+
+        const selector = document.getElementById('duration-selector');
+        if (selector) {
+            selector.innerHTML = '';
+            durations.forEach((beats, i) => {
+                const label = document.createElement('label');
+                label.className = 'radio-label';
+                label.innerHTML = `<input type="radio" name="duration" value="${beats}"${i === 0 ? ' checked' : ''}> ${this.getDurationLabel(beats, numerator)}`;
+                selector.appendChild(label);
+            });
+        }
+
+        const submenu = document.getElementById('duration-submenu');
+        if (submenu) {
+            submenu.innerHTML = durations
+                .map(beats => `<div class="menu-item" data-action="duration" data-value="${beats}">${this.getDurationLabel(beats, numerator)}</div>`)
+                .join('');
+        }
+    }
+
+    // Marker Logic
+    renderMarkers() {
+        this.removeMarkers();
+
+        // Create markers
+        this.playHead = this.createMarker('play-head', 'Play');
         this.loopStart = this.createMarker('loop-start', 'Start');
         this.loopEnd = this.createMarker('loop-end', 'End');
 
@@ -661,13 +1818,18 @@ class AppUI {
                 window.app.currentChordIndex = Math.min(closestIndex, chords.length - 1);
                 if (window.app.currentChordIndex < 0) window.app.currentChordIndex = 0;
             } else if (type === 'loopStart') {
-                window.app.playRange.start = Math.min(closestIndex, window.app.playRange.end);
+                let start = Math.min(closestIndex, window.app.playRange.end);
+                if (window.app.snapToSections) start = window.app.getSectionBounds(start).start;
+                window.app.playRange.start = start;
             } else if (type === 'loopEnd') {
-                window.app.playRange.end = Math.max(closestIndex - 1, window.app.playRange.start);
+                let end = Math.max(closestIndex - 1, window.app.playRange.start);
+                if (window.app.snapToSections) end = window.app.getSectionBounds(end).end;
+                window.app.playRange.end = end;
             }
 
             this.updateMarkerPositions();
             window.app.updateRangeInputs();
+            if (type !== 'playHead') window.app.markDirty();
         });
 
         document.addEventListener('mouseup', () => {
@@ -703,6 +1865,7 @@ class AppUI {
             chordEls[index].scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' });
         }
         this.updateMarkerPositions();
+        if (window.app && window.app.pianoRoll) window.app.pianoRoll.setPlayhead(window.app.getBeatOffset(index));
     }
 }
 
@@ -710,8 +1873,26 @@ class Settings {
     constructor() {
         this.modal = document.getElementById('settings-modal');
         this.loadShortcuts();
+        this.loadEnvelopes();
         this.setupUI();
         this.recordingAction = null;
+        this.envelopesOnOpen = null; // Saved envelopes to return to if the modal closes unsaved
+    }
+
+    loadEnvelopes() {
+        const saved = localStorage.getItem('pianoAppEnvelopes');
+        if (!saved) return;
+        try {
+            Object.entries(JSON.parse(saved)).forEach(([id, envelope]) => {
+                window.app.audio.setEnvelope(id, envelope);
+            });
+        } catch (e) {
+            console.error('Failed to load envelopes:', e);
+        }
+    }
+
+    saveEnvelopes() {
+        localStorage.setItem('pianoAppEnvelopes', JSON.stringify(window.app.audio.envelopes));
     }
 
     loadShortcuts() {
@@ -723,6 +1904,7 @@ class Settings {
             delete: { ctrl: false, key: 'Delete' },
             undo: { ctrl: true, shift: false, key: 'z' },
             redo: { ctrl: true, shift: true, key: 'z' },
+            save: { ctrl: true, key: 's' },
             play: { ctrl: false, key: ' ' }
         };
 
@@ -730,7 +1912,8 @@ class Settings {
         const saved = localStorage.getItem('pianoAppShortcuts');
         if (saved) {
             try {
-                this.shortcuts = JSON.parse(saved);
+                // Merge so shortcuts added in newer versions keep their defaults
+                this.shortcuts = { ...this.shortcuts, ...JSON.parse(saved) };
             } catch (e) {
                 console.error('Failed to load shortcuts:', e);
             }
@@ -779,10 +1962,37 @@ class Settings {
             resetBtn.addEventListener('click', () => this.resetToDefaults());
         }
 
+        // Envelope editor: changes apply immediately so they can be auditioned,
+        // and are reverted if the modal closes without saving
+        const instrumentSelect = document.getElementById('setting-sound-instrument');
+        if (instrumentSelect) {
+            instrumentSelect.addEventListener('change', () => this.updateEnvelopeInputs());
+        }
+
+        document.querySelectorAll('.sound-row input[data-param]').forEach(input => {
+            input.addEventListener('input', () => {
+                const id = instrumentSelect.value;
+                const envelope = window.app.audio.getEnvelope(id);
+                envelope[input.dataset.param] = parseFloat(input.value);
+                window.app.audio.setEnvelope(id, envelope);
+                this.updateEnvelopeInputs();
+            });
+        });
+
+        const resetEnvelopeBtn = document.getElementById('reset-envelope');
+        if (resetEnvelopeBtn) {
+            resetEnvelopeBtn.addEventListener('click', () => {
+                window.app.audio.setEnvelope(instrumentSelect.value, null);
+                this.updateEnvelopeInputs();
+            });
+        }
+
         // Save button
         const saveBtn = document.getElementById('save-settings');
         if (saveBtn) {
             saveBtn.addEventListener('click', () => {
+                this.saveEnvelopes();
+                this.envelopesOnOpen = null;
                 this.saveShortcuts();
                 this.hideModal();
             });
@@ -802,11 +2012,50 @@ class Settings {
 
     showModal() {
         this.modal.classList.add('show');
+        this.envelopesOnOpen = JSON.parse(JSON.stringify(window.app.audio.envelopes));
         this.updateInputValues();
+        this.updateInstrumentOptions();
+    }
+
+    updateInstrumentOptions() {
+        const select = document.getElementById('setting-sound-instrument');
+        if (!select) return;
+
+        const previous = select.value || window.app.audio.sourceInstruments.live;
+        select.innerHTML = '';
+        window.app.audio.getInstrumentList().forEach(inst => {
+            const opt = document.createElement('option');
+            opt.value = inst.id;
+            opt.text = inst.name;
+            select.add(opt);
+        });
+        select.value = previous;
+        this.updateEnvelopeInputs();
+    }
+
+    updateEnvelopeInputs() {
+        const select = document.getElementById('setting-sound-instrument');
+        if (!select || !select.value) return;
+
+        const envelope = window.app.audio.getEnvelope(select.value);
+        document.querySelectorAll('.sound-row input[data-param]').forEach(input => {
+            const param = input.dataset.param;
+            input.value = envelope[param];
+            const label = document.getElementById(`setting-${param}-value`);
+            if (label) {
+                const value = envelope[param];
+                if (param === 'sustain') label.textContent = `${Math.round(value * 100)}%`;
+                else label.textContent = value < 1 ? `${Math.round(value * 1000)} ms` : `${value.toFixed(2)} s`;
+            }
+        });
     }
 
     hideModal() {
         this.modal.classList.remove('show');
+        if (this.envelopesOnOpen) {
+            window.app.audio.envelopes = this.envelopesOnOpen;
+            this.envelopesOnOpen = null;
+        }
         if (this.recordingAction) {
             const input = document.getElementById(`setting-${this.recordingAction}`);
             if (input) input.classList.remove('recording');
@@ -896,6 +2145,7 @@ class Settings {
             delete: { ctrl: false, key: 'Delete' },
             undo: { ctrl: true, shift: false, key: 'z' },
             redo: { ctrl: true, shift: true, key: 'z' },
+            save: { ctrl: true, key: 's' },
             play: { ctrl: false, key: ' ' }
         };
         this.updateInputValues();
@@ -915,208 +2165,3633 @@ class Settings {
     }
 }
 
-class App {
-    constructor() {
-        this.audio = new AudioEngine();
-        this.ui = new AppUI();
-        this.midi = new MidiEngine(this.audio, this.ui);
-
-        this.chords = [];
-        this.isPlaying = false;
-        this.bpm = 120;
-        this.schedulerId = null;
-        this.metronomeTimeouts = [];
-        this.dragStartIndex = null;
-        this.metronomeEnabled = false;
-        this.currentChordIndex = 0;
-        this.playRange = { start: 0, end: 0 };
-        this.loopEnabled = false;
-
-        // Selection & Clipboard
-        this.selectedChordIndices = new Set();
-        this.clipboard = [];
+// Turns a chord voicing into timed note events. Times and lengths are in beats
+// from the start of the chord.
+class RhythmPattern {
+    static PATTERNS = {
+        block: { name: 'Block' },
+        'arp-up': { name: 'Arpeggio Up', arpeggio: (notes) => notes },
+        'arp-down': { name: 'Arpeggio Down', arpeggio: (notes) => [...notes].reverse() },
+        'arp-updown': { name: 'Arpeggio Up-Down', arpeggio: (notes) => notes.concat(notes.slice(1, -1).reverse()) },
+        'arp-random': { name: 'Arpeggio Random', arpeggio: (notes) => notes, random: true },
+        strum: { name: 'Strum' },
+        alberti: { name: 'Alberti Bass', arpeggio: (notes) => [notes[0], notes[notes.length - 1], notes[Math.floor(notes.length / 2)], notes[notes.length - 1]] },
+        // Comping rhythms: [start, length] hits repeating every `cycle` beats
+        charleston: { name: 'Charleston', cycle: 4, hits: [[0, 1], [1.5, 0.5]] },
+        bossa: { name: 'Bossa Nova', cycle: 8, hits: [[0, 1], [1.5, 1], [3, 1], [4.5, 1], [6, 1.5]] }
+    };
+
+    static DEFAULTS = { pattern: 'block', subdivision: 2, spread: 30 };
+
+    // options: { subdivision (steps per beat), spread (ms between strummed notes), bpm }
+    static generate(patternId, notes, duration, { subdivision = 2, spread = 30, bpm = 120 } = {}) {
+        const pattern = RhythmPattern.PATTERNS[patternId] || RhythmPattern.PATTERNS.block;
+        const sorted = [...notes].sort((a, b) => a - b);
+        if (sorted.length === 0) return [];
+
+        if (pattern.arpeggio) {
+            const sequence = pattern.arpeggio(sorted);
+            const events = [];
+            for (let i = 0; i < duration * subdivision; i++) {
+                const note = pattern.random
+                    ? sorted[Math.floor(Math.random() * sorted.length)]
+                    : sequence[i % sequence.length];
+                // Downbeat steps are slightly accented
+                events.push({ note, start: i / subdivision, length: 1 / subdivision, velocity: i % subdivision === 0 ? 100 : 85 });
+            }
+            return events;
+        }
 
-        // Undo/Redo Stacks
-        this.undoStack = [];
-        this.redoStack = [];
+        if (pattern.hits) {
+            const events = [];
+            for (let cycle = 0; cycle < duration; cycle += pattern.cycle) {
+                pattern.hits.forEach(([start, length]) => {
+                    if (cycle + start >= duration) return;
+                    sorted.forEach(note => events.push({ note, start: cycle + start, length: Math.min(length, duration - cycle - start), velocity: 95 }));
+                });
+            }
+            return events;
+        }
 
-        // Settings
-        this.settings = null;
+        if (patternId === 'strum') {
+            const spreadBeats = (spread / 1000) * (bpm / 60);
+            return sorted.map((note, i) => ({ note, start: i * spreadBeats, length: duration - i * spreadBeats, velocity: 100 - i * 5 }))
+                .filter(event => event.length > 0);
+        }
 
-        this.init();
+        return sorted.map(note => ({ note, start: 0, length: duration, velocity: 100 }));
     }
+}
 
-    init() {
-        this.midi.init();
-        this.ui.setupTimelineDrag();
-
-        this.ui.setupSelectionDrag();
-
-        // Initialize settings after DOM is ready
-        setTimeout(() => {
-            this.settings = new Settings();
-        }, 0);
-
-        // Event Listeners
-        document.querySelectorAll('.chord-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const root = btn.dataset.root;
-                this.addChord(root, 'major'); // Type is determined by UI in addChord
-            });
-        });
-
-        document.getElementById('refresh-midi-btn').addEventListener('click', () => {
-            this.midi.init();
-            this.ui.showNotification("Refreshing MIDI devices...");
-        });
-
-        document.getElementById('play-btn').addEventListener('click', () => this.togglePlay());
-        document.getElementById('stop-btn').addEventListener('click', () => this.stop());
-        document.getElementById('clear-btn').addEventListener('click', () => this.clearChords());
-        document.getElementById('bpm').addEventListener('change', (e) => this.bpm = parseInt(e.target.value));
-
-        document.getElementById('metronome-toggle').addEventListener('change', (e) => {
-            this.metronomeEnabled = e.target.checked;
-        });
-
-        document.getElementById('rest-btn').addEventListener('click', () => {
-            this.addChord('Rest', 'rest');
-        });
-
+class ProjectFile {
+    static FORMAT = 'piano-studio-project';
+    static VERSION = 3;
+
+    // MIGRATIONS[n] upgrades a version n document to version n + 1.
+    // When the format changes, bump VERSION and add the step here.
+    static MIGRATIONS = {
+        // Version 0: an un-versioned bare array of chords
+        0: (doc) => ({
+            format: ProjectFile.FORMAT,
+            version: 1,
+            song: { chords: doc }
+        }),
+        // Version 2 adds the time signature and metronome options
+        1: (doc) => ({
+            ...doc,
+            version: 2,
+            song: {
+                timeSignature: { numerator: 4, denominator: 4 },
+                metronomeSubdivision: 1,
+                countInBars: 0,
+                ...doc.song
+            }
+        }),
+        // Version 3 adds rhythm patterns, the key, voice leading, the note track,
+        // sections and the arrangement. Per-chord tempo and fermatas are optional.
+        2: (doc) => ({
+            ...doc,
+            version: 3,
+            song: {
+                rhythm: { ...RhythmPattern.DEFAULTS },
+                key: null,
+                voiceLeading: { ...App.VOICE_LEADING_DEFAULTS },
+                notes: [],
+                sections: [],
+                arrangement: [],
+                ...doc.song
+            }
+        })
+    };
+
+    static serialize(songData, name) {
+        const doc = {
+            format: ProjectFile.FORMAT,
+            version: ProjectFile.VERSION,
+            name: name || 'Untitled',
+            exportedAt: new Date().toISOString(),
+            song: songData
+        };
+        return JSON.stringify(doc, null, 2);
+    }
 
+    // Returns { name, song } or throws an Error describing every problem found
+    static parse(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Not a valid JSON file: ${e.message}`);
+        }
 
-        // Volume Controls
-        document.getElementById('piano-vol').addEventListener('input', (e) => {
-            this.audio.setPianoVolume(e.target.value);
-        });
+        doc = ProjectFile.migrate(doc);
+        const errors = ProjectFile.validate(doc.song);
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 10);
+            if (errors.length > shown.length) shown.push(`...and ${errors.length - shown.length} more`);
+            throw new Error(`Invalid project file:\n${shown.join('\n')}`);
+        }
 
-        document.getElementById('metro-vol').addEventListener('input', (e) => {
-            this.audio.setMetronomeVolume(e.target.value);
-        });
+        return { name: typeof doc.name === 'string' ? doc.name : null, song: ProjectFile.normalize(doc.song) };
+    }
 
-        // Key Labels Toggle
-        document.getElementById('key-labels-toggle').addEventListener('change', (e) => {
-            this.ui.toggleKeyLabels(e.target.checked);
-        });
+    static migrate(doc) {
+        let version;
+        if (Array.isArray(doc)) {
+            version = 0;
+        } else if (doc && typeof doc === 'object' && doc.format === ProjectFile.FORMAT) {
+            version = doc.version;
+        } else {
+            throw new Error('Not a Piano Studio project file.');
+        }
 
-        // Loop and Reset Controls
-        document.getElementById('loop-toggle').addEventListener('change', (e) => {
-            this.loopEnabled = e.target.checked;
-        });
+        if (!Number.isInteger(version) || version < 0) {
+            throw new Error(`Unknown project file version: ${version}`);
+        }
+        if (version > ProjectFile.VERSION) {
+            throw new Error(`This project was saved by a newer version of Piano Studio (format v${version}, this app reads up to v${ProjectFile.VERSION}).`);
+        }
 
-        document.getElementById('reset-btn').addEventListener('click', () => this.reset());
+        while (version < ProjectFile.VERSION) {
+            const step = ProjectFile.MIGRATIONS[version];
+            if (!step) throw new Error(`No migration from project format v${version}.`);
+            doc = step(doc);
+            version = doc.version;
+        }
+        return doc;
+    }
 
-        // Playback Bar
-        const playbackBar = document.getElementById('playback-bar');
-        if (playbackBar) {
-            playbackBar.addEventListener('input', (e) => {
-                this.currentChordIndex = parseInt(e.target.value);
-                this.ui.setPlaybackPosition(this.currentChordIndex);
-                if (this.isPlaying) {
-                    // Restart playback from new position
-                    clearTimeout(this.schedulerId);
-                    this.playNext();
-                }
-            });
+    static validate(song) {
+        const errors = [];
+        if (!song || typeof song !== 'object') {
+            return ['"song" is missing or not an object.'];
         }
 
-        // Range Inputs
-        const rangeStart = document.getElementById('range-start');
-        if (rangeStart) {
-            rangeStart.addEventListener('change', (e) => {
-                let val = parseInt(e.target.value) - 1;
-                if (val < 0) val = 0;
-                this.playRange.start = val;
-                this.ui.updateMarkerPositions();
+        if (!Array.isArray(song.chords)) {
+            errors.push('"song.chords" must be an array.');
+        } else {
+            song.chords.forEach((chord, i) => {
+                errors.push(...ProjectFile.validateChord(chord).map(msg => `Chord ${i + 1}: ${msg}`));
             });
         }
 
-        const rangeEnd = document.getElementById('range-end');
-        if (rangeEnd) {
-            rangeEnd.addEventListener('change', (e) => {
-                let val = parseInt(e.target.value) - 1;
-                this.playRange.end = val;
-                this.ui.updateMarkerPositions();
+        const sectionIds = [];
+        if (song.sections !== undefined) {
+            if (!Array.isArray(song.sections)) {
+                errors.push('"song.sections" must be an array.');
+            } else {
+                song.sections.forEach((section, i) => {
+                    if (!section || typeof section.id !== 'string' || typeof section.name !== 'string' ||
+                        !/^#[0-9a-f]{6}$/i.test(section.color) || !Number.isInteger(section.repeat) || section.repeat < 1 || section.repeat > 8) {
+                        errors.push(`Section ${i + 1}: needs a string id and name, a #rrggbb color and a repeat count from 1 to 8.`);
+                    } else {
+                        sectionIds.push(section.id);
+                    }
+                });
+            }
+        }
+        if (Array.isArray(song.chords)) {
+            song.chords.forEach((chord, i) => {
+                if (chord && chord.section !== undefined && !sectionIds.includes(chord.section)) {
+                    errors.push(`Chord ${i + 1}: unknown section ${JSON.stringify(chord.section)}.`);
+                }
             });
         }
+        if (song.arrangement !== undefined) {
+            if (!Array.isArray(song.arrangement)) {
+                errors.push('"song.arrangement" must be an array of section ids.');
+            } else {
+                song.arrangement.filter(id => !sectionIds.includes(id)).forEach(id => {
+                    errors.push(`"arrangement" refers to unknown section ${JSON.stringify(id)}.`);
+                });
+            }
+        }
 
-        // Keyboard Shortcuts
-        document.addEventListener('keydown', (e) => {
-            // Skip if typing in input/textarea
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+        if (song.notes !== undefined) {
+            if (!Array.isArray(song.notes)) {
+                errors.push('"song.notes" must be an array.');
+            } else {
+                song.notes.forEach((note, i) => {
+                    errors.push(...ProjectFile.validateNote(note).map(msg => `Note ${i + 1}: ${msg}`));
+                });
+            }
+        }
 
-            // Wait for settings to be initialized
-            if (!this.settings) return;
+        if (song.bpm !== undefined && (typeof song.bpm !== 'number' || song.bpm < 40 || song.bpm > 240)) {
+            errors.push(`"bpm" must be a number from 40 to 240 (got ${JSON.stringify(song.bpm)}).`);
+        }
 
-            // Play/Pause
-            if (this.settings.matchesShortcut(e, 'play')) {
-                e.preventDefault();
-                this.togglePlay();
+        if (song.playRange !== undefined) {
+            const range = song.playRange;
+            const count = Array.isArray(song.chords) ? song.chords.length : 0;
+            if (!range || !Number.isInteger(range.start) || !Number.isInteger(range.end)) {
+                errors.push('"playRange" must have whole-number "start" and "end".');
+            } else if (range.start < 0 || range.start > range.end || (count > 0 && range.end >= count)) {
+                errors.push(`"playRange" ${range.start}-${range.end} is outside the ${count} chords in the song.`);
             }
+        }
 
-            // Undo
-            if (this.settings.matchesShortcut(e, 'undo')) {
-                e.preventDefault();
-                this.undo();
+        ['loopEnabled', 'metronomeEnabled'].forEach(key => {
+            if (song[key] !== undefined && typeof song[key] !== 'boolean') {
+                errors.push(`"${key}" must be true or false.`);
             }
+        });
 
-            // Redo
-            if (this.settings.matchesShortcut(e, 'redo')) {
-                e.preventDefault();
-                this.redo();
+        if (song.timeSignature !== undefined) {
+            const ts = song.timeSignature;
+            if (!ts || !Number.isInteger(ts.numerator) || ts.numerator < 1 || ts.numerator > 32 || ![2, 4, 8, 16].includes(ts.denominator)) {
+                errors.push(`"timeSignature" ${JSON.stringify(ts)} is invalid (numerator 1-32, denominator 2, 4, 8 or 16).`);
             }
-
-            // Copy
-            if (this.settings.matchesShortcut(e, 'copy')) {
-                e.preventDefault();
-                this.copySelection();
+        }
+        if (song.metronomeSubdivision !== undefined && ![1, 2, 3, 4].includes(song.metronomeSubdivision)) {
+            errors.push(`"metronomeSubdivision" must be 1, 2, 3 or 4 (got ${JSON.stringify(song.metronomeSubdivision)}).`);
+        }
+        if (song.countInBars !== undefined && ![0, 1, 2].includes(song.countInBars)) {
+            errors.push(`"countInBars" must be 0, 1 or 2 (got ${JSON.stringify(song.countInBars)}).`);
+        }
+        if (song.key !== undefined && song.key !== null) {
+            if (!NOTE_NAMES.includes(song.key.tonic) || !KeyAnalysis.SCALES[song.key.mode]) {
+                errors.push(`"key" ${JSON.stringify(song.key)} needs a tonic from ${NOTE_NAMES.join(', ')} and a mode of major or minor.`);
             }
-
-            // Cut
-            if (this.settings.matchesShortcut(e, 'cut')) {
-                e.preventDefault();
-                this.cutSelection();
+        }
+        if (song.voiceLeading !== undefined) {
+            const v = song.voiceLeading;
+            if (!v || typeof v.enabled !== 'boolean' || !['none', 'top', 'bass'].includes(v.constraint) ||
+                !Number.isInteger(v.low) || !Number.isInteger(v.high) || v.low > v.high) {
+                errors.push('"voiceLeading" needs enabled (true/false), a constraint of none, top or bass, and whole-number low <= high.');
             }
-
-            // Paste
-            if (this.settings.matchesShortcut(e, 'paste')) {
-                e.preventDefault();
-                this.pasteSelection();
+        }
+        if (song.rhythm !== undefined) {
+            const rhythm = song.rhythm;
+            if (!rhythm || !RhythmPattern.PATTERNS[rhythm.pattern]) {
+                errors.push(`"rhythm.pattern" must be one of ${Object.keys(RhythmPattern.PATTERNS).join(', ')}.`);
+            } else if (![1, 2, 3, 4].includes(rhythm.subdivision) || typeof rhythm.spread !== 'number' || rhythm.spread < 0 || rhythm.spread > 200) {
+                errors.push('"rhythm" needs a subdivision of 1-4 and a spread of 0-200 ms.');
             }
+        }
 
-            // Delete
-            if (this.settings.matchesShortcut(e, 'delete')) {
-                e.preventDefault();
-                this.deleteSelection();
-            }
-        });
+        return errors;
     }
 
-    saveState() {
-        // Deep copy chords array
-        const state = JSON.parse(JSON.stringify(this.chords));
-        this.undoStack.push(state);
-        // Limit stack size
-        if (this.undoStack.length > 50) this.undoStack.shift();
-        // Clear redo stack on new action
-        this.redoStack = [];
-    }
+    static validateChord(chord) {
+        if (!chord || typeof chord !== 'object') return ['must be an object.'];
 
-    undo() {
-        if (this.undoStack.length === 0) return;
+        const errors = [];
+        if (!Number.isInteger(chord.duration) || chord.duration < 1 || chord.duration > 32) {
+            errors.push(`bad duration ${JSON.stringify(chord.duration)} (must be a whole number of beats from 1 to 32).`);
+        }
+        if (chord.ending !== undefined && (!Number.isInteger(chord.ending) || chord.ending < 1 || chord.ending > 4)) {
+            errors.push(`ending ${JSON.stringify(chord.ending)} must be a whole number from 1 to 4.`);
+        }
+        if (chord.tempo !== undefined && (!chord.tempo || typeof chord.tempo.bpm !== 'number' || chord.tempo.bpm < 40 || chord.tempo.bpm > 240 ||
+            (chord.tempo.ramp !== undefined && typeof chord.tempo.ramp !== 'boolean'))) {
+            errors.push(`tempo ${JSON.stringify(chord.tempo)} needs a bpm from 40 to 240 and an optional ramp of true or false.`);
+        }
+        if (chord.fermata !== undefined && typeof chord.fermata !== 'boolean') {
+            errors.push('"fermata" must be true or false.');
+        }
+
+        if (chord.type === 'rest') return errors;
+
+        const definition = CHORD_TYPES.get(chord.type);
+        if (!definition) {
+            errors.push(`unknown chord type ${JSON.stringify(chord.type)} (expected one of ${[...CHORD_TYPES.keys()].join(', ')}, or rest).`);
+        }
+        if (!NOTE_NAMES.includes(chord.root)) {
+            errors.push(`unknown root ${JSON.stringify(chord.root)}.`);
+        }
+        if (chord.bass !== undefined && !NOTE_NAMES.includes(chord.bass)) {
+            errors.push(`unknown bass note ${JSON.stringify(chord.bass)}.`);
+        }
+        if (typeof chord.name !== 'string') {
+            errors.push('"name" must be a string.');
+        }
+        const inversion = chord.inversion === undefined ? 0 : chord.inversion;
+        const maxInversion = definition ? definition.maxInversion : 0;
+        if (!Number.isInteger(inversion) || inversion < 0 || inversion > maxInversion) {
+            errors.push(`inversion ${JSON.stringify(chord.inversion)} is out of range (0-${maxInversion}).`);
+        }
+        if (chord.octave !== undefined && (!Number.isInteger(chord.octave) || Math.abs(chord.octave) > 2)) {
+            errors.push(`octave ${JSON.stringify(chord.octave)} must be a whole number from -2 to 2.`);
+        }
+        if (chord.pattern !== undefined && !RhythmPattern.PATTERNS[chord.pattern]) {
+            errors.push(`unknown pattern ${JSON.stringify(chord.pattern)}.`);
+        }
+        return errors;
+    }
+
+    // Recorded notes: { note, velocity, start, length }, start and length in beats
+    static validateNote(note) {
+        if (!note || typeof note !== 'object') return ['must be an object.'];
+
+        const errors = [];
+        if (!Number.isInteger(note.note) || note.note < 0 || note.note > 127) {
+            errors.push(`note number ${JSON.stringify(note.note)} must be a whole number from 0 to 127.`);
+        }
+        if (!Number.isInteger(note.velocity) || note.velocity < 1 || note.velocity > 127) {
+            errors.push(`velocity ${JSON.stringify(note.velocity)} must be a whole number from 1 to 127.`);
+        }
+        if (typeof note.start !== 'number' || note.start < 0) {
+            errors.push(`start ${JSON.stringify(note.start)} must be a number of beats from 0.`);
+        }
+        if (typeof note.length !== 'number' || note.length <= 0) {
+            errors.push(`length ${JSON.stringify(note.length)} must be a positive number of beats.`);
+        }
+        return errors;
+    }
+
+    // Fills optional fields so the result can go straight into App.loadSongData
+    static normalize(song) {
+        const chords = song.chords.map(chord => ({
+            ...(chord.type === 'rest'
+                ? { root: 'Rest', type: 'rest', name: 'Rest', inversion: 0, duration: chord.duration }
+                : {
+                    root: chord.root, type: chord.type, name: chord.name, inversion: chord.inversion || 0, duration: chord.duration,
+                    ...(chord.bass ? { bass: chord.bass } : {}),
+                    ...(chord.octave ? { octave: chord.octave } : {}),
+                    ...(chord.pattern ? { pattern: chord.pattern } : {})
+                }),
+            ...(chord.section ? { section: chord.section } : {}),
+            ...(chord.ending ? { ending: chord.ending } : {}),
+            ...(chord.tempo ? { tempo: chord.tempo.ramp ? { bpm: chord.tempo.bpm, ramp: true } : { bpm: chord.tempo.bpm } } : {}),
+            ...(chord.fermata ? { fermata: true } : {})
+        }));
+
+        return {
+            chords,
+            notes: (song.notes || []).map(({ note, velocity, start, length }) => ({ note, velocity, start, length })),
+            sections: (song.sections || []).map(({ id, name, color, repeat }) => ({ id, name, color, repeat })),
+            arrangement: [...(song.arrangement || [])],
+            bpm: song.bpm !== undefined ? song.bpm : 120,
+            playRange: song.playRange ? { ...song.playRange } : { start: 0, end: Math.max(0, chords.length - 1) },
+            loopEnabled: !!song.loopEnabled,
+            metronomeEnabled: !!song.metronomeEnabled,
+            timeSignature: song.timeSignature ? { ...song.timeSignature } : { numerator: 4, denominator: 4 },
+            metronomeSubdivision: song.metronomeSubdivision || 1,
+            countInBars: song.countInBars || 0,
+            rhythm: { ...RhythmPattern.DEFAULTS, ...song.rhythm },
+            key: song.key ? { tonic: song.key.tonic, mode: song.key.mode } : null,
+            voiceLeading: { ...App.VOICE_LEADING_DEFAULTS, ...song.voiceLeading }
+        };
+    }
+}
+
+// Plain-text chord charts: `| Am7 . D7 . | Gmaj7 | C/E F#m7b5 | B7 |`.
+// Each bar is split evenly between its slots; a chord symbol starts a chord,
+// `.` extends the previous one and `N.C.` is a rest.
+class ChordChart {
+    static FLATS = { Db: 'C#', Eb: 'D#', Gb: 'F#', Ab: 'G#', Bb: 'A#', Cb: 'B', Fb: 'E' };
+    static SHARPS = { 'E#': 'F', 'B#': 'C' };
+    static ALIASES = { '-': 'm', min: 'm', M7: 'maj7', '^7': 'maj7', 'ø': 'm7b5', 'ø7': 'm7b5', '°': 'dim', '°7': 'dim7', '+': 'aug', '-7': 'm7', min7: 'm7' };
+    static REST = 'N.C.';
+
+    static parseNoteName(text) {
+        if (ChordChart.FLATS[text]) return ChordChart.FLATS[text];
+        if (ChordChart.SHARPS[text]) return ChordChart.SHARPS[text];
+        return NOTE_NAMES.includes(text) ? text : null;
+    }
+
+    // Returns { root, type, inversion, bass? } or null if the symbol isn't a known chord
+    static parseSymbol(symbol) {
+        const match = symbol.match(/^([A-G][#b]?)([^/]*)(?:\/([A-G][#b]?))?$/);
+        if (!match) return null;
+
+        const root = ChordChart.parseNoteName(match[1]);
+        const suffix = ChordChart.ALIASES[match[2]] !== undefined ? ChordChart.ALIASES[match[2]] : match[2];
+        const type = [...CHORD_TYPES].find(([, def]) => def.suffix === suffix);
+        if (!root || !type) return null;
+
+        const chord = { root, type: type[0], inversion: 0 };
+        if (match[3]) {
+            const bass = ChordChart.parseNoteName(match[3]);
+            if (!bass) return null;
+            // A slash on a chord tone is written as an inversion, anything else as a bass note
+            const rootIndex = NOTE_NAMES.indexOf(root);
+            const position = type[1].intervals.findIndex(i => NOTE_NAMES[(rootIndex + i) % 12] === bass);
+            if (position > 0 && position <= type[1].maxInversion) chord.inversion = position;
+            else if (position !== 0) chord.bass = bass;
+        }
+        return chord;
+    }
+
+    // Returns chords without display names. Throws an Error with `position` and
+    // `length` of the offending token.
+    static parse(text, beatsPerBar) {
+        const fail = (message, token) => {
+            const err = new Error(message);
+            err.position = token.position;
+            err.length = token.text.length;
+            throw err;
+        };
+
+        // Tokenise, keeping character offsets so errors can be pointed at
+        const tokens = [];
+        const pattern = /\||[^\s|]+/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            tokens.push({ text: match[0], position: match.index });
+        }
+
+        const bars = [];
+        let bar = [];
+        tokens.forEach(token => {
+            if (token.text === '|') {
+                if (bar.length > 0) bars.push(bar);
+                bar = [];
+            } else {
+                bar.push(token);
+            }
+        });
+        if (bar.length > 0) bars.push(bar);
+
+        const chords = [];
+        const sources = []; // The token each chord started at
+        bars.forEach((slots, barIndex) => {
+            if (beatsPerBar % slots.length !== 0) {
+                fail(`Bar ${barIndex + 1} has ${slots.length} slots, which don't divide its ${beatsPerBar} beats evenly.`, slots[slots.length - 1]);
+            }
+            const slotBeats = beatsPerBar / slots.length;
+
+            slots.forEach(token => {
+                if (token.text === '.') {
+                    if (chords.length === 0) fail('"." must follow a chord.', token);
+                    chords[chords.length - 1].duration += slotBeats;
+                } else if (token.text.toUpperCase() === ChordChart.REST || token.text.toUpperCase() === 'NC') {
+                    chords.push({ root: 'Rest', type: 'rest', name: 'Rest', inversion: 0, duration: slotBeats });
+                    sources.push(token);
+                } else {
+                    const chord = ChordChart.parseSymbol(token.text);
+                    if (!chord) fail(`Bar ${barIndex + 1}: "${token.text}" is not a recognised chord symbol.`, token);
+                    chords.push({ ...chord, duration: slotBeats });
+                    sources.push(token);
+                }
+            });
+        });
+
+        chords.forEach((chord, i) => {
+            if (chord.duration > 32) {
+                fail(`"${ChordChart.formatSymbol(chord)}" would last ${chord.duration} beats; chords can be at most 32.`, sources[i]);
+            }
+        });
+        return chords;
+    }
+
+    // key (optional) chooses sharp or flat spelling
+    static formatSymbol(chord, key = null) {
+        if (chord.type === 'rest') return ChordChart.REST;
+        const definition = CHORD_TYPES.get(chord.type);
+        let symbol = `${KeyAnalysis.spell(chord.root, key)}${definition.suffix}`;
+        if (chord.bass) {
+            symbol += `/${KeyAnalysis.spell(chord.bass, key)}`;
+        } else if (chord.inversion) {
+            symbol += `/${KeyAnalysis.spell(KeyAnalysis.transposeNote(chord.root, definition.intervals[chord.inversion]), key)}`;
+        }
+        return symbol;
+    }
+
+    // The reverse of parse(). A final partial bar is padded with rests.
+    static format(chords, beatsPerBar, key = null) {
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+        // Split chords at bar lines into { symbol, beats, continued } segments per bar
+        const bars = [];
+        let current = [];
+        let beatInBar = 0;
+        const place = (symbol, beats, continued) => {
+            while (beats > 0) {
+                const take = Math.min(beats, beatsPerBar - beatInBar);
+                current.push({ symbol, beats: take, continued });
+                beats -= take;
+                beatInBar += take;
+                continued = true;
+                if (beatInBar === beatsPerBar) {
+                    bars.push(current);
+                    current = [];
+                    beatInBar = 0;
+                }
+            }
+        };
+        chords.forEach(chord => place(ChordChart.formatSymbol(chord, key), chord.duration || 4, false));
+        if (beatInBar > 0) place(ChordChart.REST, beatsPerBar - beatInBar, false);
+
+        const text = bars.map(segments => {
+            const slotBeats = segments.reduce((g, seg) => gcd(g, seg.beats), beatsPerBar);
+            return segments.map(seg => {
+                const slots = seg.beats / slotBeats;
+                return [seg.continued ? '.' : seg.symbol, ...Array(slots - 1).fill('.')].join(' ');
+            }).join(' ');
+        });
+        return text.length > 0 ? `| ${text.join(' | ')} |` : '';
+    }
+}
+
+// Keys are { tonic, mode } with tonic from NOTE_NAMES and mode 'major' or 'minor'.
+// Roman numerals are written against the major scale, so minor keys read i, bIII, bVI, bVII.
+class KeyAnalysis {
+    static SCALES = {
+        major: [0, 2, 4, 5, 7, 9, 11],
+        minor: [0, 2, 3, 5, 7, 8, 10]
+    };
+
+    // Krumhansl-Kessler key profiles
+    static PROFILES = {
+        major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+        minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+    };
+
+    static NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+    // Semitones above the tonic -> [degree, accidental]
+    static DEGREES = [[0, ''], [1, 'b'], [1, ''], [2, 'b'], [2, ''], [3, ''], [4, 'b'], [4, ''], [5, 'b'], [5, ''], [6, 'b'], [6, '']];
+    // Sixth chords spell out (add6), since a bare 6 reads as a first-inversion figure
+    static NUMERAL_SUFFIXES = { dim: '°', dim7: '°7', m7b5: 'ø7', aug: '+', '7#5': '+7', 6: '(add6)', m6: '(add6)' };
+    static DOMINANT_TYPES = ['major', '7', '9', '13', '7b5', '7b9', '7#9', '7alt'];
+
+    static FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+    // Tonic pitch classes whose key signatures use flats
+    static FLAT_TONICS = { major: [1, 3, 5, 8, 10], minor: [0, 2, 3, 5, 7, 10] };
+
+    static usesFlats(key) {
+        return !!key && KeyAnalysis.FLAT_TONICS[key.mode].includes(NOTE_NAMES.indexOf(key.tonic));
+    }
+
+    // Spells a NOTE_NAMES note the way the key signature would
+    static spell(note, key) {
+        return KeyAnalysis.usesFlats(key) ? KeyAnalysis.FLAT_NAMES[NOTE_NAMES.indexOf(note)] : note;
+    }
+
+    static transposeNote(note, semitones) {
+        return NOTE_NAMES[(NOTE_NAMES.indexOf(note) + semitones % 12 + 12) % 12];
+    }
+
+    static getKeyName(key) {
+        return `${KeyAnalysis.spell(key.tonic, key)} ${key.mode}`;
+    }
+
+    static getPitchClasses(chord) {
+        const rootIndex = NOTE_NAMES.indexOf(chord.root);
+        return CHORD_TYPES.get(chord.type).intervals.map(i => (rootIndex + i) % 12);
+    }
+
+    // Correlates the song's duration-weighted pitch classes with each key profile
+    static estimate(chords) {
+        const weights = new Array(12).fill(0);
+        chords.forEach((chord, i) => {
+            if (chord.type === 'rest') return;
+            const duration = chord.duration || 4;
+            KeyAnalysis.getPitchClasses(chord).forEach(pc => { weights[pc] += duration; });
+            // Roots, and especially the final chord, point at the tonic
+            const root = NOTE_NAMES.indexOf(chord.root);
+            weights[root] += duration * (i === chords.length - 1 ? 1 : 0.5);
+        });
+        if (weights.every(w => w === 0)) return null;
+
+        const correlate = (a, b) => {
+            const meanA = a.reduce((x, y) => x + y) / 12;
+            const meanB = b.reduce((x, y) => x + y) / 12;
+            let num = 0, denA = 0, denB = 0;
+            for (let i = 0; i < 12; i++) {
+                num += (a[i] - meanA) * (b[i] - meanB);
+                denA += (a[i] - meanA) ** 2;
+                denB += (b[i] - meanB) ** 2;
+            }
+            return denA && denB ? num / Math.sqrt(denA * denB) : 0;
+        };
+
+        let best = null;
+        NOTE_NAMES.forEach((tonic, t) => {
+            ['major', 'minor'].forEach(mode => {
+                const rotated = weights.map((_, i) => weights[(i + t) % 12]);
+                const score = correlate(rotated, KeyAnalysis.PROFILES[mode]);
+                if (!best || score > best.score) best = { tonic, mode, score };
+            });
+        });
+        return { tonic: best.tonic, mode: best.mode };
+    }
+
+    static isDiatonic(chord, key) {
+        const tonic = NOTE_NAMES.indexOf(key.tonic);
+        const scale = KeyAnalysis.SCALES[key.mode].map(i => (tonic + i) % 12);
+        return KeyAnalysis.getPitchClasses(chord).every(pc => scale.includes(pc));
+    }
+
+    // Numeral for a chord built on `offset` semitones above the tonic, cased by its third
+    static formatNumeral(offset, type) {
+        const [degree, accidental] = KeyAnalysis.DEGREES[offset];
+        const intervals = CHORD_TYPES.get(type).intervals;
+        const minor = intervals.includes(3) && !intervals.includes(4);
+        const numeral = minor ? KeyAnalysis.NUMERALS[degree].toLowerCase() : KeyAnalysis.NUMERALS[degree];
+
+        let suffix = KeyAnalysis.NUMERAL_SUFFIXES[type];
+        if (suffix === undefined) {
+            suffix = CHORD_TYPES.get(type).suffix;
+            if (minor && suffix.startsWith('m')) suffix = suffix.slice(1);
+        }
+        return `${accidental}${numeral}${suffix}`;
+    }
+
+    // Returns { numeral, kind } where kind is 'diatonic', 'secondary', 'borrowed' or 'chromatic'
+    static analyze(chord, key) {
+        if (!chord || chord.type === 'rest' || !key) return null;
+        const offset = (NOTE_NAMES.indexOf(chord.root) - NOTE_NAMES.indexOf(key.tonic) + 12) % 12;
+        const numeral = KeyAnalysis.formatNumeral(offset, chord.type);
+
+        // The dominant of a minor key borrows the harmonic minor leading tone
+        const isDominant = KeyAnalysis.DOMINANT_TYPES.includes(chord.type);
+        if (KeyAnalysis.isDiatonic(chord, key) || (offset === 7 && isDominant)) {
+            return { numeral, kind: 'diatonic' };
+        }
+
+        // Secondary dominant: a dominant chord resolving a fifth down to another diatonic degree
+        const target = (offset + 5) % 12;
+        const scale = KeyAnalysis.SCALES[key.mode];
+        if (isDominant && target !== 0 && scale.includes(target)) {
+            const targetChord = KeyAnalysis.getDiatonicChords(key, false)[scale.indexOf(target)];
+            if (targetChord.type !== 'dim') {
+                const suffix = chord.type === 'major' ? '' : CHORD_TYPES.get(chord.type).suffix;
+                return { numeral: `V${suffix}/${KeyAnalysis.formatNumeral(target, targetChord.type)}`, kind: 'secondary' };
+            }
+        }
+
+        const parallel = { tonic: key.tonic, mode: key.mode === 'major' ? 'minor' : 'major' };
+        if (KeyAnalysis.isDiatonic(chord, parallel)) {
+            return { numeral, kind: 'borrowed' };
+        }
+        return { numeral, kind: 'chromatic' };
+    }
+
+    // The seven chords built by stacking thirds on each scale degree.
+    // In minor keys V uses the harmonic minor leading tone.
+    static getDiatonicChords(key, sevenths = false) {
+        const tonic = NOTE_NAMES.indexOf(key.tonic);
+        const scale = KeyAnalysis.SCALES[key.mode];
+
+        return scale.map((offset, degree) => {
+            const steps = sevenths ? [0, 2, 4, 6] : [0, 2, 4];
+            const intervals = steps.map(step => {
+                const tone = scale[(degree + step) % 7] + (degree + step >= 7 ? 12 : 0);
+                return tone - offset;
+            });
+            if (key.mode === 'minor' && degree === 4) intervals[1] = 4;
+
+            const match = [...CHORD_TYPES].find(([, def]) => def.intervals.join() === intervals.join());
+            const type = match ? match[0] : 'major';
+            return {
+                root: NOTE_NAMES[(tonic + offset) % 12],
+                type,
+                numeral: KeyAnalysis.formatNumeral(offset, type)
+            };
+        });
+    }
+}
+
+class MidiFile {
+    static encodeVarLen(value) {
+        const bytes = [value & 0x7F];
+        value >>= 7;
+        while (value > 0) {
+            bytes.unshift((value & 0x7F) | 0x80);
+            value >>= 7;
+        }
+        return bytes;
+    }
+
+    static metaEvent(tick, type, data) {
+        return { tick, data: [0xFF, type, ...MidiFile.encodeVarLen(data.length), ...data] };
+    }
+
+    static textEvent(tick, type, text) {
+        return MidiFile.metaEvent(tick, type, Array.from(new TextEncoder().encode(text)));
+    }
+
+    static tempoEvent(tick, bpm) {
+        const usPerBeat = Math.round(60000000 / bpm);
+        return MidiFile.metaEvent(tick, 0x51, [(usPerBeat >> 16) & 0xFF, (usPerBeat >> 8) & 0xFF, usPerBeat & 0xFF]);
+    }
+
+    static timeSignatureEvent(tick, numerator, denominator) {
+        return MidiFile.metaEvent(tick, 0x58, [numerator, Math.log2(denominator), 24, 8]);
+    }
+
+    // tracks: arrays of { tick, data } in any order. Events on the same tick keep
+    // their relative order, so callers should list note-offs before note-ons.
+    static write(tracks, ppq = 480) {
+        const bytes = [];
+        const pushString = (str) => { for (const c of str) bytes.push(c.charCodeAt(0)); };
+        const pushUint32 = (n) => bytes.push((n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF);
+        const pushUint16 = (n) => bytes.push((n >> 8) & 0xFF, n & 0xFF);
+
+        pushString('MThd');
+        pushUint32(6);
+        pushUint16(1); // Type 1: simultaneous tracks
+        pushUint16(tracks.length);
+        pushUint16(ppq);
+
+        tracks.forEach(events => {
+            const sorted = events
+                .map((event, order) => ({ ...event, order }))
+                .sort((a, b) => a.tick - b.tick || a.order - b.order);
+            const lastTick = sorted.length > 0 ? sorted[sorted.length - 1].tick : 0;
+            sorted.push({ tick: lastTick, data: [0xFF, 0x2F, 0x00] }); // End of track
+
+            const trackBytes = [];
+            let prevTick = 0;
+            sorted.forEach(event => {
+                trackBytes.push(...MidiFile.encodeVarLen(event.tick - prevTick), ...event.data);
+                prevTick = event.tick;
+            });
+
+            pushString('MTrk');
+            pushUint32(trackBytes.length);
+            bytes.push(...trackBytes);
+        });
+
+        return new Uint8Array(bytes);
+    }
+
+    // Returns { format, ppq, tracks } where each track is a list of
+    // { tick, type, ... } events with absolute ticks
+    static parse(buffer) {
+        const data = new DataView(buffer);
+        let pos = 0;
+
+        const readString = (length) => {
+            let str = '';
+            for (let i = 0; i < length; i++) str += String.fromCharCode(data.getUint8(pos + i));
+            pos += length;
+            return str;
+        };
+        const readVarLen = () => {
+            let value = 0;
+            let byte;
+            do {
+                byte = data.getUint8(pos++);
+                value = (value << 7) | (byte & 0x7F);
+            } while (byte & 0x80);
+            return value;
+        };
+
+        if (buffer.byteLength < 14 || readString(4) !== 'MThd') {
+            throw new Error('Not a Standard MIDI File.');
+        }
+        const headerLength = data.getUint32(pos);
+        const format = data.getUint16(pos + 4);
+        const trackCount = data.getUint16(pos + 6);
+        const division = data.getUint16(pos + 8);
+        pos += 4 + headerLength;
+
+        if (division & 0x8000) {
+            throw new Error('SMPTE time division is not supported.');
+        }
+
+        const tracks = [];
+        try {
+            for (let t = 0; t < trackCount && pos < buffer.byteLength; t++) {
+                const chunkType = readString(4);
+                const chunkLength = data.getUint32(pos);
+                pos += 4;
+                const end = pos + chunkLength;
+                if (chunkType !== 'MTrk') {
+                    pos = end; // Skip unknown chunks
+                    t--;
+                    continue;
+                }
+
+                const events = [];
+                let tick = 0;
+                let runningStatus = 0;
+                while (pos < end) {
+                    tick += readVarLen();
+                    let status = data.getUint8(pos);
+                    if (status & 0x80) {
+                        pos++;
+                    } else {
+                        status = runningStatus; // Running status: reuse previous
+                    }
+
+                    if (status === 0xFF) {
+                        const metaType = data.getUint8(pos++);
+                        const length = readVarLen();
+                        const bytes = new Uint8Array(buffer, pos, length);
+                        pos += length;
+                        if (metaType === 0x51) {
+                            const usPerBeat = (bytes[0] << 16) | (bytes[1] << 8) | bytes[2];
+                            events.push({ tick, type: 'tempo', bpm: 60000000 / usPerBeat });
+                        } else if (metaType === 0x58) {
+                            events.push({ tick, type: 'timeSignature', numerator: bytes[0], denominator: Math.pow(2, bytes[1]) });
+                        } else if (metaType >= 0x01 && metaType <= 0x07) {
+                            events.push({ tick, type: 'text', metaType, text: new TextDecoder().decode(bytes) });
+                        }
+                    } else if (status === 0xF0 || status === 0xF7) {
+                        pos += readVarLen(); // SysEx: skip
+                    } else {
+                        runningStatus = status;
+                        const command = status >> 4;
+                        const channel = status & 0x0F;
+                        const data1 = data.getUint8(pos++);
+                        const data2 = (command === 0xC || command === 0xD) ? 0 : data.getUint8(pos++);
+
+                        if (command === 0x9 && data2 > 0) {
+                            events.push({ tick, type: 'noteOn', channel, note: data1, velocity: data2 });
+                        } else if (command === 0x8 || command === 0x9) {
+                            events.push({ tick, type: 'noteOff', channel, note: data1 });
+                        } else if (command === 0xB) {
+                            events.push({ tick, type: 'controller', channel, controller: data1, value: data2 });
+                        }
+                    }
+                }
+                pos = end;
+                tracks.push(events);
+            }
+        } catch (e) {
+            if (e instanceof RangeError) throw new Error('The MIDI file is truncated or corrupt.');
+            throw e;
+        }
+
+        return { format, ppq: division, tracks };
+    }
+
+    // Pairs note-on/off events into { note, channel, velocity, start, end } (ticks)
+    static collectNotes(tracks) {
+        const notes = [];
+        tracks.forEach(events => {
+            const open = new Map(); // `${channel}:${note}` -> note-on event
+            events.forEach(event => {
+                const key = `${event.channel}:${event.note}`;
+                if (event.type === 'noteOn') {
+                    if (open.has(key)) {
+                        const prev = open.get(key);
+                        notes.push({ note: prev.note, channel: prev.channel, velocity: prev.velocity, start: prev.tick, end: event.tick });
+                    }
+                    open.set(key, event);
+                } else if (event.type === 'noteOff' && open.has(key)) {
+                    const on = open.get(key);
+                    notes.push({ note: on.note, channel: on.channel, velocity: on.velocity, start: on.tick, end: event.tick });
+                    open.delete(key);
+                }
+            });
+        });
+        return notes.filter(n => n.end > n.start).sort((a, b) => a.start - b.start || a.note - b.note);
+    }
+}
+
+class WavFile {
+    // Encodes an AudioBuffer as 16-bit PCM or 32-bit float WAV
+    static encode(audioBuffer, { float = false } = {}) {
+        const channels = audioBuffer.numberOfChannels;
+        const sampleRate = audioBuffer.sampleRate;
+        const frames = audioBuffer.length;
+        const bytesPerSample = float ? 4 : 2;
+        const blockAlign = channels * bytesPerSample;
+        const dataSize = frames * blockAlign;
+        // Non-PCM formats need the extended fmt chunk and a fact chunk
+        const fmtSize = float ? 18 : 16;
+        const factSize = float ? 12 : 0;
+        const headerSize = 12 + 8 + fmtSize + factSize + 8;
+
+        const buffer = new ArrayBuffer(headerSize + dataSize);
+        const view = new DataView(buffer);
+        let pos = 0;
+        const writeString = (str) => { for (const c of str) view.setUint8(pos++, c.charCodeAt(0)); };
+        const writeUint32 = (n) => { view.setUint32(pos, n, true); pos += 4; };
+        const writeUint16 = (n) => { view.setUint16(pos, n, true); pos += 2; };
+
+        writeString('RIFF');
+        writeUint32(buffer.byteLength - 8);
+        writeString('WAVE');
+
+        writeString('fmt ');
+        writeUint32(fmtSize);
+        writeUint16(float ? 3 : 1); // 3 = IEEE float, 1 = PCM
+        writeUint16(channels);
+        writeUint32(sampleRate);
+        writeUint32(sampleRate * blockAlign);
+        writeUint16(blockAlign);
+        writeUint16(bytesPerSample * 8);
+        if (float) {
+            writeUint16(0); // cbSize
+
+            writeString('fact');
+            writeUint32(4);
+            writeUint32(frames);
+        }
+
+        writeString('data');
+        writeUint32(dataSize);
+
+        const channelData = [];
+        for (let c = 0; c < channels; c++) channelData.push(audioBuffer.getChannelData(c));
+
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < channels; c++) {
+                const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+                if (float) {
+                    view.setFloat32(pos, sample, true);
+                    pos += 4;
+                } else {
+                    view.setInt16(pos, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                    pos += 2;
+                }
+            }
+        }
+
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+}
+
+class SongLibrary {
+    constructor(app) {
+        this.app = app;
+        this.modal = document.getElementById('library-modal');
+        this.songList = document.getElementById('song-list');
+        this.loadSongs();
+        this.setupUI();
+    }
+
+    loadSongs() {
+        this.songs = [];
+
+        // Load from localStorage
+        const saved = localStorage.getItem('pianoAppSongs');
+        if (saved) {
+            try {
+                this.songs = JSON.parse(saved);
+            } catch (e) {
+                console.error('Failed to load songs:', e);
+            }
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem('pianoAppSongs', JSON.stringify(this.songs));
+            return true;
+        } catch (e) {
+            console.error('Failed to store songs:', e);
+            this.app.ui.showNotification('Could not save song (storage full?)');
+            return false;
+        }
+    }
+
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    getSong(id) {
+        return this.songs.find(song => song.id === id);
+    }
+
+    setupUI() {
+        const songsBtn = document.getElementById('songs-btn');
+        if (songsBtn) {
+            songsBtn.addEventListener('click', () => this.showModal());
+        }
+
+        const saveBtn = document.getElementById('save-song-btn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.save());
+        }
+
+        const closeBtn = document.getElementById('close-library');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hideModal());
+        }
+
+        // Click outside to close
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hideModal();
+            }
+        });
+
+        const newBtn = document.getElementById('new-song-btn');
+        if (newBtn) {
+            newBtn.addEventListener('click', () => {
+                if (this.newSong()) this.hideModal();
+            });
+        }
+
+        const saveAsBtn = document.getElementById('save-song-as-btn');
+        if (saveAsBtn) {
+            saveAsBtn.addEventListener('click', () => this.saveAs());
+        }
+
+        // Project files
+        const exportBtn = document.getElementById('export-project-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.app.exportProject());
+        }
+
+        const importInput = document.getElementById('import-project-input');
+        const importBtn = document.getElementById('import-project-btn');
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', async () => {
+                const file = importInput.files[0];
+                importInput.value = ''; // Allow re-importing the same file
+                if (file && this.confirmDiscard() && await this.app.importProject(file)) {
+                    this.hideModal();
+                }
+            });
+        }
+
+        // Row actions (delegated, rows are re-rendered)
+        this.songList.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+            const id = btn.closest('.song-row').dataset.id;
+
+            switch (btn.dataset.action) {
+                case 'open':
+                    if (this.open(id)) this.hideModal();
+                    break;
+                case 'rename': this.rename(id); break;
+                case 'duplicate': this.duplicate(id); break;
+                case 'delete': this.remove(id); break;
+            }
+        });
+
+        // Warn before losing unsaved work
+        window.addEventListener('beforeunload', (e) => {
+            if (this.app.isDirty && this.app.chords.length > 0) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    }
+
+    showModal() {
+        this.renderList();
+        this.modal.classList.add('show');
+    }
+
+    hideModal() {
+        this.modal.classList.remove('show');
+    }
+
+    renderList() {
+        this.songList.innerHTML = '';
+
+        if (this.songs.length === 0) {
+            this.songList.innerHTML = '<div class="empty-state">No saved songs yet.</div>';
+            return;
+        }
+
+        // Most recently edited first
+        const sorted = [...this.songs].sort((a, b) => b.updatedAt - a.updatedAt);
+        sorted.forEach(song => {
+            const row = document.createElement('div');
+            row.className = 'song-row';
+            row.dataset.id = song.id;
+            if (this.app.currentSong && this.app.currentSong.id === song.id) {
+                row.classList.add('current');
+            }
+
+            const info = document.createElement('div');
+            info.className = 'song-info';
+            const name = document.createElement('span');
+            name.className = 'song-name';
+            name.textContent = song.name;
+            const meta = document.createElement('span');
+            meta.className = 'song-meta';
+            meta.textContent = `${song.data.chords.length} chords · ${new Date(song.updatedAt).toLocaleString()}`;
+            info.appendChild(name);
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'song-actions';
+            actions.innerHTML = `
+                <button class="btn-primary small-btn" data-action="open">Open</button>
+                <button class="btn-secondary small-btn" data-action="rename">Rename</button>
+                <button class="btn-secondary small-btn" data-action="duplicate">Duplicate</button>
+                <button class="btn-danger small-btn" data-action="delete">Delete</button>`;
+
+            row.appendChild(info);
+            row.appendChild(actions);
+            this.songList.appendChild(row);
+        });
+    }
+
+    // Returns false if the user chose to keep their unsaved changes
+    confirmDiscard() {
+        if (!this.app.isDirty || this.app.chords.length === 0) return true;
+        return confirm('The current song has unsaved changes. Discard them?');
+    }
+
+    save() {
+        const current = this.app.currentSong;
+        const song = current && this.getSong(current.id);
+        if (!song) {
+            this.saveAs();
+            return;
+        }
+
+        song.data = this.app.getSongData();
+        song.updatedAt = Date.now();
+        if (!this.persist()) return;
+
+        this.app.markClean();
+        this.app.ui.showNotification(`Saved "${song.name}"`);
+    }
+
+    saveAs() {
+        const current = this.app.currentSong;
+        let defaultName = 'Untitled Song';
+        if (current) defaultName = current.id ? `${current.name} (copy)` : current.name;
+        const name = prompt('Song name:', defaultName);
+        if (!name || !name.trim()) return;
+
+        const now = Date.now();
+        const song = {
+            id: this.generateId(),
+            name: name.trim(),
+            createdAt: now,
+            updatedAt: now,
+            data: this.app.getSongData()
+        };
+        this.songs.push(song);
+        if (!this.persist()) {
+            this.songs.pop();
+            return;
+        }
+
+        this.app.currentSong = { id: song.id, name: song.name };
+        this.app.markClean();
+        localStorage.setItem('pianoAppLastSong', song.id);
+        this.renderList();
+        this.app.ui.showNotification(`Saved "${song.name}"`);
+    }
+
+    open(id) {
+        const song = this.getSong(id);
+        if (!song) return false;
+        if (!this.confirmDiscard()) return false;
+
+        this.app.loadSongData(song.data);
+        this.app.currentSong = { id: song.id, name: song.name };
+        this.app.markClean();
+        localStorage.setItem('pianoAppLastSong', song.id);
+        this.app.ui.showNotification(`Opened "${song.name}"`);
+        return true;
+    }
+
+    newSong() {
+        if (!this.confirmDiscard()) return false;
+
+        this.app.loadSongData(null);
+        this.app.currentSong = null;
+        this.app.markClean();
+        localStorage.removeItem('pianoAppLastSong');
+        return true;
+    }
+
+    rename(id) {
+        const song = this.getSong(id);
+        if (!song) return;
+        const name = prompt('Rename song:', song.name);
+        if (!name || !name.trim()) return;
+
+        song.name = name.trim();
+        song.updatedAt = Date.now();
+        this.persist();
+
+        if (this.app.currentSong && this.app.currentSong.id === id) {
+            this.app.currentSong.name = song.name;
+            this.app.ui.updateSongTitle(song.name, this.app.isDirty);
+        }
+        this.renderList();
+    }
+
+    duplicate(id) {
+        const song = this.getSong(id);
+        if (!song) return;
+
+        const now = Date.now();
+        this.songs.push({
+            id: this.generateId(),
+            name: `${song.name} (copy)`,
+            createdAt: now,
+            updatedAt: now,
+            data: JSON.parse(JSON.stringify(song.data))
+        });
+        this.persist();
+        this.renderList();
+    }
+
+    remove(id) {
+        const song = this.getSong(id);
+        if (!song) return;
+        if (!confirm(`Delete "${song.name}"? This cannot be undone.`)) return;
+
+        this.songs = this.songs.filter(s => s.id !== id);
+        this.persist();
+
+        // The open song stays in the editor, but is no longer backed by storage
+        if (this.app.currentSong && this.app.currentSong.id === id) {
+            this.app.currentSong = null;
+            localStorage.removeItem('pianoAppLastSong');
+            this.app.markDirty();
+        }
+        this.renderList();
+    }
+
+    restoreLastSong() {
+        const lastId = localStorage.getItem('pianoAppLastSong');
+        const song = lastId && this.getSong(lastId);
+        if (!song) return;
+
+        this.app.loadSongData(song.data);
+        this.app.currentSong = { id: song.id, name: song.name };
+        this.app.markClean();
+    }
+}
+
+class ExportDialog {
+    constructor(app) {
+        this.app = app;
+        this.modal = document.getElementById('export-modal');
+        this.setupUI();
+    }
+
+    setupUI() {
+        const exportBtn = document.getElementById('export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.showModal());
+        }
+
+        const closeBtn = document.getElementById('close-export');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hideModal());
+        }
+
+        // Click outside to close
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hideModal();
+            }
+        });
+
+        const midiBtn = document.getElementById('export-midi-btn');
+        if (midiBtn) {
+            midiBtn.addEventListener('click', () => {
+                this.app.exportMidi(this.getOptions());
+                this.hideModal();
+            });
+        }
+
+        const wavBtn = document.getElementById('export-wav-btn');
+        if (wavBtn) {
+            wavBtn.addEventListener('click', async () => {
+                wavBtn.disabled = true;
+                wavBtn.textContent = 'Rendering...';
+                try {
+                    await this.app.renderWav(this.getOptions());
+                    this.hideModal();
+                } finally {
+                    wavBtn.disabled = false;
+                    wavBtn.textContent = 'Render WAV';
+                }
+            });
+        }
+    }
+
+    getOptions() {
+        const scope = document.querySelector('input[name="export-scope"]:checked');
+        const format = document.querySelector('input[name="export-wav-format"]:checked');
+        const metronome = document.getElementById('export-metronome');
+        const repetitions = document.getElementById('export-repetitions');
+        return {
+            loopRangeOnly: scope ? scope.value === 'range' : false,
+            float: format ? format.value === 'float32' : false,
+            includeMetronome: metronome ? metronome.checked : false,
+            repetitions: repetitions ? Math.min(16, Math.max(1, parseInt(repetitions.value) || 1)) : 1
+        };
+    }
+
+    showModal() {
+        if (this.app.chords.length === 0) {
+            this.app.ui.showNotification('Nothing to export');
+            return;
+        }
+        this.modal.classList.add('show');
+    }
+
+    hideModal() {
+        this.modal.classList.remove('show');
+    }
+}
+
+class ChartDialog {
+    constructor(app) {
+        this.app = app;
+        this.modal = document.getElementById('chart-modal');
+        this.textArea = document.getElementById('chart-text');
+        this.errorEl = document.getElementById('chart-error');
+        this.setupUI();
+    }
+
+    setupUI() {
+        const chartBtn = document.getElementById('chart-btn');
+        if (chartBtn) {
+            chartBtn.addEventListener('click', () => this.showModal());
+        }
+
+        const closeBtn = document.getElementById('close-chart');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hideModal());
+        }
+
+        // Click outside to close
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hideModal();
+            }
+        });
+
+        const insertBtn = document.getElementById('chart-insert-btn');
+        if (insertBtn) {
+            insertBtn.addEventListener('click', () => this.insert());
+        }
+
+        const copyBtn = document.getElementById('chart-copy-btn');
+        if (copyBtn) {
+            copyBtn.addEventListener('click', () => this.copyTimeline());
+        }
+
+        this.textArea.addEventListener('input', () => this.showError(null));
+    }
+
+    insert() {
+        let chords;
+        try {
+            chords = ChordChart.parse(this.textArea.value, this.app.timeSignature.numerator);
+        } catch (err) {
+            this.showError(err.message);
+            if (err.position !== undefined) {
+                this.textArea.focus();
+                this.textArea.setSelectionRange(err.position, err.position + err.length);
+            }
+            return;
+        }
+
+        if (chords.length === 0) {
+            this.showError('The chart is empty.');
+            return;
+        }
+        const key = this.app.getSongKey();
+        chords.forEach(chord => {
+            if (chord.type !== 'rest') chord.name = this.app.getChordName(chord.root, chord.type, chord.bass, key);
+        });
+        this.app.insertChords(chords);
+        this.hideModal();
+    }
+
+    async copyTimeline() {
+        const text = ChordChart.format(this.app.chords, this.app.timeSignature.numerator, this.app.key);
+        this.textArea.value = text;
+        this.showError(null);
+        try {
+            await navigator.clipboard.writeText(text);
+            this.app.ui.showNotification('Chart copied');
+        } catch (err) {
+            // Clipboard access can be refused; the text is still in the box to copy by hand
+            console.error('Clipboard write failed', err);
+            this.textArea.select();
+        }
+    }
+
+    showError(message) {
+        this.errorEl.textContent = message || '';
+        this.errorEl.style.display = message ? 'block' : 'none';
+    }
+
+    showModal() {
+        this.showError(null);
+        this.modal.classList.add('show');
+        this.textArea.focus();
+    }
+
+    hideModal() {
+        this.modal.classList.remove('show');
+    }
+}
+
+// Steps through the loop range, waiting on each chord until the student plays it
+// on the MIDI keyboard, and times each change.
+class PracticeSession {
+    constructor(app) {
+        this.app = app;
+        this.modal = document.getElementById('practice-modal');
+        this.active = false;
+        this.highlighted = new Map(); // note -> highlight type currently shown
+        this.loadOptions();
+        this.setupUI();
+    }
+
+    loadOptions() {
+        // match: 'any-inversion' (pitch classes) or 'voicing' (the notes as written)
+        this.options = { match: 'any-inversion', anyOctave: true };
+        const saved = localStorage.getItem('pianoAppPractice');
+        if (saved) {
+            try {
+                this.options = { ...this.options, ...JSON.parse(saved) };
+            } catch (e) {
+                console.error('Failed to load practice options:', e);
+            }
+        }
+    }
+
+    saveOptions() {
+        localStorage.setItem('pianoAppPractice', JSON.stringify(this.options));
+    }
+
+    setupUI() {
+        document.getElementById('practice-btn').addEventListener('click', () => {
+            if (this.active) this.finish();
+            else this.showModal();
+        });
+
+        document.getElementById('close-practice').addEventListener('click', () => this.hideModal());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hideModal();
+            }
+        });
+
+        const matchSelect = document.getElementById('practice-match');
+        const octaveToggle = document.getElementById('practice-any-octave');
+        matchSelect.value = this.options.match;
+        octaveToggle.checked = this.options.anyOctave;
+        [matchSelect, octaveToggle].forEach(input => input.addEventListener('change', () => {
+            this.options = { match: matchSelect.value, anyOctave: octaveToggle.checked };
+            this.saveOptions();
+        }));
+
+        document.getElementById('practice-start-btn').addEventListener('click', () => {
+            this.hideModal();
+            this.start();
+        });
+    }
+
+    start() {
+        const app = this.app;
+        const indices = [];
+        for (let i = app.playRange.start; i <= app.playRange.end && i < app.chords.length; i++) {
+            if (app.chords[i].type !== 'rest') indices.push(i);
+        }
+        if (indices.length === 0) {
+            app.ui.showNotification('No chords to practice');
+            return;
+        }
+
+        app.stop();
+        this.active = true;
+        this.indices = indices;
+        this.position = 0;
+        this.results = [];
+        app.midi.onNotesChanged = (pressed, note, isNoteOn) => this.onNotesChanged(pressed, note, isNoteOn);
+        document.getElementById('practice-btn').textContent = 'End Practice';
+        this.showChord();
+    }
+
+    showChord() {
+        const index = this.indices[this.position];
+        const chord = this.app.chords[index];
+        this.target = this.app.getVoicedNotes(index);
+        this.startedAt = performance.now();
+        this.mistakes = 0;
+        this.freshInput = false; // Notes still held from the last chord don't count
+
+        this.app.currentChordIndex = index;
+        this.app.ui.setPlaybackPosition(index);
+        document.getElementById('practice-status').textContent = `Play ${chord.name} (${this.position + 1}/${this.indices.length})`;
+        this.playTarget(index);
+        this.render(this.app.midi.pressedNotes);
+    }
+
+    // Sounds the chord on the playback instrument for its length at the song tempo, then waits
+    playTarget(index) {
+        const audio = this.app.audio;
+        if (audio.ctx.state === 'suspended') audio.ctx.resume();
+        audio.cancelScheduled(); // The previous chord stops when the next is shown
+
+        const time = audio.ctx.currentTime + 0.05;
+        const length = this.app.getChordTiming(index).length;
+        this.target.forEach(note => {
+            audio.releaseScheduled(audio.scheduleNote(note, 100, time), time + length);
+        });
+    }
+
+    // The octave shift that lines up the most played notes with the target, if allowed.
+    // Ties go to the shift suggested by the lowest note.
+    getShift(pressed) {
+        if (!this.options.anyOctave || pressed.length === 0) return 0;
+        const candidates = new Set([Math.round((Math.min(...pressed) - this.target[0]) / 12) * 12]);
+        pressed.forEach(n => this.target.forEach(t => candidates.add(Math.round((n - t) / 12) * 12)));
+
+        let best = 0;
+        let bestCount = -1;
+        candidates.forEach(shift => {
+            const count = pressed.filter(n => this.target.includes(n - shift)).length;
+            if (count > bestCount) {
+                best = shift;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    isCorrectNote(note, shift) {
+        if (this.options.match === 'any-inversion') {
+            return this.target.some(t => t % 12 === note % 12);
+        }
+        return this.target.includes(note - shift);
+    }
+
+    isMatch(pressed, shift) {
+        if (pressed.length === 0) return false;
+        if (this.options.match === 'any-inversion') {
+            const played = new Set(pressed.map(n => n % 12));
+            const wanted = new Set(this.target.map(n => n % 12));
+            return played.size === wanted.size && [...wanted].every(pc => played.has(pc));
+        }
+        const sorted = [...pressed].sort((a, b) => a - b);
+        return sorted.length === this.target.length && sorted.every((n, i) => n - shift === this.target[i]);
+    }
+
+    onNotesChanged(pressedNotes, note, isNoteOn) {
+        if (!this.active) return;
+        const pressed = [...pressedNotes];
+        const shift = this.getShift(pressed);
+
+        if (isNoteOn) {
+            this.freshInput = true;
+            if (!this.isCorrectNote(note, shift)) this.mistakes++;
+        }
+
+        if (this.freshInput && this.isMatch(pressed, shift)) {
+            this.advance();
+            return;
+        }
+        this.render(pressedNotes);
+    }
+
+    // Played notes show as correct or wrong, unplayed chord tones as missing
+    render(pressedNotes) {
+        const pressed = [...pressedNotes];
+        const shift = this.getShift(pressed);
+        const playedClasses = new Set(pressed.map(n => n % 12));
+        const next = new Map();
+
+        this.target.forEach(t => {
+            const satisfied = this.options.match === 'any-inversion' ? playedClasses.has(t % 12) : pressed.includes(t + shift);
+            if (!satisfied) next.set(t + shift, 'missing');
+        });
+        pressed.forEach(n => next.set(n, this.isCorrectNote(n, shift) ? 'correct' : 'wrong'));
+
+        this.highlighted.forEach((_, n) => {
+            if (!next.has(n)) this.app.ui.highlightKey(n, pressedNotes.has(n), 'manual');
+        });
+        next.forEach((type, n) => this.app.ui.highlightKey(n, true, type));
+        this.highlighted = next;
+    }
+
+    advance() {
+        const index = this.indices[this.position];
+        this.results.push({
+            index,
+            name: this.app.chords[index].name,
+            time: (performance.now() - this.startedAt) / 1000,
+            mistakes: this.mistakes,
+            notes: this.target.length
+        });
+
+        this.position++;
+        if (this.position >= this.indices.length) {
+            this.finish();
+        } else {
+            this.showChord();
+        }
+    }
+
+    finish() {
+        this.active = false;
+        this.app.midi.onNotesChanged = null;
+        this.app.audio.cancelScheduled();
+        this.highlighted.forEach((_, n) => this.app.ui.highlightKey(n, this.app.midi.pressedNotes.has(n), 'manual'));
+        this.highlighted = new Map();
+        document.getElementById('practice-btn').textContent = 'Practice';
+        document.getElementById('practice-status').textContent = '';
+        if (this.results.length > 0) this.showSummary();
+    }
+
+    showSummary() {
+        const results = this.results;
+        const totalNotes = results.reduce((sum, r) => sum + r.notes, 0);
+        const totalMistakes = results.reduce((sum, r) => sum + r.mistakes, 0);
+        const totalTime = results.reduce((sum, r) => sum + r.time, 0);
+        const accuracy = (r) => Math.round((r.notes / (r.notes + r.mistakes)) * 100);
+
+        const rows = results.map(r => `<tr><td>${r.name}</td><td>${r.time.toFixed(1)}s</td><td>${r.mistakes}</td><td>${accuracy(r)}%</td></tr>`).join('');
+
+        // A transition is timed from showing a chord until it was played correctly
+        const slowest = results
+            .map((r, i) => ({ from: i > 0 ? results[i - 1].name : 'Start', to: r.name, time: r.time }))
+            .sort((a, b) => b.time - a.time)
+            .slice(0, 3)
+            .map(t => `<li>${t.from} → ${t.to}: ${t.time.toFixed(1)}s</li>`)
+            .join('');
+
+        document.getElementById('practice-summary').innerHTML = `
+            <h3>Session Summary</h3>
+            <p>${results.length} chords in ${totalTime.toFixed(1)}s, ${totalMistakes} wrong notes,
+                ${Math.round((totalNotes / (totalNotes + totalMistakes)) * 100)}% accuracy.</p>
+            <table class="practice-table">
+                <thead><tr><th>Chord</th><th>Time</th><th>Wrong notes</th><th>Accuracy</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <h3>Slowest Changes</h3>
+            <ol>${slowest}</ol>`;
+        this.showModal();
+    }
+
+    showModal() {
+        document.getElementById('practice-summary').style.display = this.results && this.results.length > 0 && !this.active ? 'block' : 'none';
+        this.modal.classList.add('show');
+    }
+
+    hideModal() {
+        this.modal.classList.remove('show');
+        // The summary is shown once; the next opening is for setting up a new session
+        this.results = [];
+    }
+}
+
+// Ear training: plays a chord, interval or progression and asks what it was.
+// Items the student misses come up more often (Leitner boxes), and statistics
+// are kept per student in localStorage.
+class EarTrainingQuiz {
+    static INTERVAL_NAMES = ['Unison', 'Minor 2nd', 'Major 2nd', 'Minor 3rd', 'Major 3rd', 'Perfect 4th', 'Tritone',
+        'Perfect 5th', 'Minor 6th', 'Major 6th', 'Minor 7th', 'Major 7th', 'Octave'];
+
+    static PRESETS = {
+        easy: { qualities: ['major', 'minor'], inversions: [0], intervals: [3, 4, 5, 7, 12], degrees: [0, 3, 4] },
+        medium: { qualities: ['major', 'minor', 'dim', 'aug', '7', 'maj7', 'm7'], inversions: [0, 1, 2], intervals: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], degrees: [0, 1, 3, 4, 5] },
+        hard: { qualities: null, inversions: [0, 1, 2, 3], intervals: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], degrees: [0, 1, 2, 3, 4, 5, 6] }
+    };
+
+    static MAX_BOX = 5;
+    static PROGRESSION_LENGTH = 3;
+
+    constructor(app) {
+        this.app = app;
+        this.modal = document.getElementById('quiz-modal');
+        this.question = null;
+        this.student = localStorage.getItem('pianoAppQuizStudent') || 'Default';
+        this.loadStats();
+        this.setupUI();
+        this.applyPreset('easy');
+    }
+
+    loadStats() {
+        this.allStats = {}; // student -> item id -> { correct, wrong, box }
+        const saved = localStorage.getItem('pianoAppQuizStats');
+        if (saved) {
+            try {
+                this.allStats = JSON.parse(saved);
+            } catch (e) {
+                console.error('Failed to load quiz statistics:', e);
+            }
+        }
+    }
+
+    saveStats() {
+        localStorage.setItem('pianoAppQuizStats', JSON.stringify(this.allStats));
+    }
+
+    get stats() {
+        if (!this.allStats[this.student]) this.allStats[this.student] = {};
+        return this.allStats[this.student];
+    }
+
+    setupUI() {
+        document.getElementById('quiz-btn').addEventListener('click', () => this.showModal());
+        document.getElementById('close-quiz').addEventListener('click', () => this.hideModal());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hideModal();
+            }
+        });
+
+        const studentInput = document.getElementById('quiz-student');
+        studentInput.value = this.student;
+        studentInput.addEventListener('change', () => {
+            this.student = studentInput.value.trim() || 'Default';
+            localStorage.setItem('pianoAppQuizStudent', this.student);
+            this.renderStats();
+        });
+
+        document.getElementById('quiz-type').addEventListener('change', () => {
+            this.question = null;
+            this.renderPool();
+            this.renderQuestion();
+        });
+        document.getElementById('quiz-preset').addEventListener('change', (e) => this.applyPreset(e.target.value));
+
+        const keySelect = document.getElementById('quiz-key');
+        keySelect.innerHTML = ['major', 'minor'].map(mode =>
+            NOTE_NAMES.map(tonic => `<option value="${tonic}:${mode}">${KeyAnalysis.getKeyName({ tonic, mode })}</option>`).join('')
+        ).join('');
+        // The degree pool is labelled in the key's mode, and a question in progress is in the old key
+        keySelect.addEventListener('change', () => {
+            this.question = null;
+            this.renderPool();
+            this.renderQuestion();
+        });
+
+        document.getElementById('quiz-play-btn').addEventListener('click', () => {
+            if (this.question) this.playQuestion();
+            else this.nextQuestion();
+        });
+        document.getElementById('quiz-next-btn').addEventListener('click', () => this.nextQuestion());
+        document.getElementById('quiz-reset-stats').addEventListener('click', () => {
+            if (!confirm(`Reset ear training statistics for ${this.student}?`)) return;
+            delete this.allStats[this.student];
+            this.saveStats();
+            this.renderStats();
+        });
+    }
+
+    applyPreset(name) {
+        const preset = EarTrainingQuiz.PRESETS[name];
+        this.pool = {
+            qualities: preset.qualities || [...CHORD_TYPES.keys()],
+            inversions: [...preset.inversions],
+            intervals: [...preset.intervals],
+            degrees: [...preset.degrees]
+        };
+        this.renderPool();
+    }
+
+    getType() {
+        return document.getElementById('quiz-type').value;
+    }
+
+    getKey() {
+        const [tonic, mode] = document.getElementById('quiz-key').value.split(':');
+        return { tonic, mode };
+    }
+
+    // Checkboxes for what the current quiz type can ask about
+    renderPool() {
+        const type = this.getType();
+        const container = document.getElementById('quiz-pool');
+        document.getElementById('quiz-key-row').style.display = type === 'progression' ? 'flex' : 'none';
+
+        const groups = [];
+        if (type === 'quality' || type === 'inversion') {
+            groups.push({ field: 'qualities', options: [...CHORD_TYPES].map(([id, def]) => [id, def.name]) });
+        }
+        if (type === 'inversion') {
+            groups.push({ field: 'inversions', options: INVERSION_NAMES.map((name, i) => [i, name]) });
+        }
+        if (type === 'interval') {
+            groups.push({ field: 'intervals', options: EarTrainingQuiz.INTERVAL_NAMES.slice(1).map((name, i) => [i + 1, name]) });
+        }
+        if (type === 'progression') {
+            const chords = KeyAnalysis.getDiatonicChords(this.getKey());
+            groups.push({ field: 'degrees', options: chords.map((chord, i) => [i, chord.numeral]) });
+        }
+
+        container.innerHTML = '';
+        groups.forEach(({ field, options }) => {
+            const group = document.createElement('div');
+            group.className = 'quiz-pool-group';
+            options.forEach(([value, label]) => {
+                const item = document.createElement('label');
+                item.className = 'radio-label';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = this.pool[field].includes(value);
+                checkbox.addEventListener('change', () => {
+                    this.pool[field] = checkbox.checked
+                        ? [...this.pool[field], value]
+                        : this.pool[field].filter(v => v !== value);
+                });
+                item.appendChild(checkbox);
+                item.append(` ${label}`);
+                group.appendChild(item);
+            });
+            container.appendChild(group);
+        });
+    }
+
+    // Unseen items start in box 2; every box lower doubles the chance of being asked
+    pickWeighted(itemIds) {
+        const weights = itemIds.map(id => {
+            const box = this.stats[id] ? this.stats[id].box : 2;
+            return Math.pow(2, EarTrainingQuiz.MAX_BOX - box);
+        });
+        let r = Math.random() * weights.reduce((a, b) => a + b, 0);
+        for (let i = 0; i < itemIds.length; i++) {
+            r -= weights[i];
+            if (r <= 0) return itemIds[i];
+        }
+        return itemIds[itemIds.length - 1];
+    }
+
+    randomRoot() {
+        return NOTE_NAMES[Math.floor(Math.random() * 12)];
+    }
+
+    // A question is a list of steps, each { notes, answer, itemId } answered in order
+    buildQuestion() {
+        const type = this.getType();
+        const app = this.app;
+
+        if (type === 'quality') {
+            if (this.pool.qualities.length < 2) return null;
+            const quality = this.pickWeighted(this.pool.qualities.map(q => `quality:${q}`)).split(':')[1];
+            const notes = app.getChordNotes(this.randomRoot(), quality);
+            return { type, options: this.pool.qualities.map(q => [q, CHORD_TYPES.get(q).name]), steps: [{ notes: [notes], answer: quality, itemId: `quality:${quality}` }] };
+        }
+
+        if (type === 'inversion') {
+            const inversions = this.pool.inversions.filter(inv => this.pool.qualities.some(q => CHORD_TYPES.get(q).maxInversion >= inv));
+            if (inversions.length < 2) return null;
+            const inversion = parseInt(this.pickWeighted(inversions.map(i => `inversion:${i}`)).split(':')[1]);
+            const qualities = this.pool.qualities.filter(q => CHORD_TYPES.get(q).maxInversion >= inversion);
+            const quality = qualities[Math.floor(Math.random() * qualities.length)];
+            const notes = app.getChordNotes(this.randomRoot(), quality, inversion);
+            return { type, options: inversions.map(i => [i, INVERSION_NAMES[i]]), steps: [{ notes: [notes], answer: inversion, itemId: `inversion:${inversion}` }] };
+        }
+
+        if (type === 'interval') {
+            if (this.pool.intervals.length < 2) return null;
+            const semitones = parseInt(this.pickWeighted(this.pool.intervals.map(i => `interval:${i}`)).split(':')[1]);
+            const base = 55 + Math.floor(Math.random() * 12);
+            // Melodic, then harmonic
+            return {
+                type,
+                options: this.pool.intervals.map(i => [i, EarTrainingQuiz.INTERVAL_NAMES[i]]),
+                steps: [{ notes: [[base], [base + semitones], [base, base + semitones]], answer: semitones, itemId: `interval:${semitones}` }]
+            };
+        }
+
+        // Progression: the tonic chord sets the key, then each chord is named in turn
+        if (this.pool.degrees.length < 2) return null;
+        const key = this.getKey();
+        const chords = KeyAnalysis.getDiatonicChords(key);
+        const steps = [];
+        for (let i = 0; i < EarTrainingQuiz.PROGRESSION_LENGTH; i++) {
+            const degree = parseInt(this.pickWeighted(this.pool.degrees.map(d => `numeral:${key.mode}:${d}`)).split(':')[2]);
+            steps.push({ notes: [app.getChordNotes(chords[degree].root, chords[degree].type)], answer: degree, itemId: `numeral:${key.mode}:${degree}` });
+        }
+        return {
+            type,
+            options: [...this.pool.degrees].sort((a, b) => a - b).map(d => [d, chords[d].numeral]),
+            intro: app.getChordNotes(chords[0].root, chords[0].type),
+            steps
+        };
+    }
+
+    nextQuestion() {
+        this.question = this.buildQuestion();
+        if (!this.question) {
+            this.setFeedback('Choose at least two items for the quiz.', 'wrong');
+            return;
+        }
+        this.question.step = 0;
+        this.question.results = [];
+        this.setFeedback('', null);
+        this.renderQuestion();
+        this.playQuestion();
+    }
+
+    // Sounds the question on the playback instrument, one second per chord
+    playQuestion() {
+        const audio = this.app.audio;
+        if (audio.ctx.state === 'suspended') audio.ctx.resume();
+
+        const groups = [];
+        if (this.question.intro) groups.push(this.question.intro);
+        this.question.steps.forEach(step => groups.push(...step.notes));
+
+        let time = audio.ctx.currentTime + 0.05;
+        groups.forEach(notes => {
+            notes.forEach(note => {
+                const voice = audio.scheduleNote(note, 100, time);
+                audio.releaseScheduled(voice, time + 0.9);
+            });
+            time += 1;
+        });
+    }
+
+    renderQuestion() {
+        const prompt = document.getElementById('quiz-prompt');
+        const answers = document.getElementById('quiz-answers');
+        answers.innerHTML = '';
+        document.getElementById('quiz-play-btn').textContent = this.question ? 'Replay' : 'Start';
+
+        if (!this.question) {
+            prompt.textContent = 'Press Start to hear the first question.';
+            return;
+        }
+
+        const q = this.question;
+        const prompts = {
+            quality: 'What quality is this chord?',
+            inversion: 'Which inversion is this chord?',
+            interval: 'What interval is this?',
+            progression: `After the tonic, name chord ${q.step + 1} of ${q.steps.length} in ${KeyAnalysis.getKeyName(this.getKey())}.`
+        };
+        prompt.textContent = `${prompts[q.type]} Click an answer or play it on your MIDI keyboard.`;
+
+        q.options.forEach(([value, label]) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn-secondary quiz-answer';
+            btn.textContent = label;
+            btn.disabled = q.step >= q.steps.length;
+            btn.addEventListener('click', () => this.answer(value));
+            answers.appendChild(btn);
+        });
+    }
+
+    answer(value) {
+        const q = this.question;
+        if (!q || q.step >= q.steps.length) return;
+        const step = q.steps[q.step];
+        const correct = value === step.answer;
+        this.record(step.itemId, correct);
+
+        const label = q.options.find(([v]) => v === step.answer);
+        q.results.push(correct);
+        q.step++;
+
+        if (q.step < q.steps.length) {
+            this.setFeedback(correct ? 'Correct!' : `Not quite: it was ${label ? label[1] : step.answer}.`, correct ? 'correct' : 'wrong');
+        } else {
+            const score = q.results.filter(Boolean).length;
+            const summary = q.steps.length > 1 ? ` (${score}/${q.steps.length} this round)` : '';
+            this.setFeedback(`${correct ? 'Correct!' : `Not quite: it was ${label ? label[1] : step.answer}.`}${summary}`, correct ? 'correct' : 'wrong');
+        }
+        this.renderQuestion();
+        this.renderStats();
+    }
+
+    // Played answers count when they sound the same as the question
+    onChordPlayed(notes) {
+        const q = this.question;
+        if (!q || q.step >= q.steps.length) return;
+        const step = q.steps[q.step];
+        const target = step.notes[step.notes.length - 1];
+        const pitchClasses = (list) => [...new Set(list.map(n => n % 12))].sort((a, b) => a - b).join();
+
+        let correct;
+        if (q.type === 'interval') {
+            correct = notes.length === 2 && notes[1] - notes[0] === step.answer;
+        } else {
+            correct = pitchClasses(notes) === pitchClasses(target);
+            // Inversions also need the right chord tone in the bass
+            if (q.type === 'inversion') correct = correct && notes[0] % 12 === target[0] % 12;
+        }
+        this.answer(correct ? step.answer : null);
+    }
+
+    record(itemId, correct) {
+        const entry = this.stats[itemId] || { correct: 0, wrong: 0, box: 2 };
+        if (correct) {
+            entry.correct++;
+            entry.box = Math.min(EarTrainingQuiz.MAX_BOX, entry.box + 1);
+        } else {
+            entry.wrong++;
+            entry.box = 1;
+        }
+        this.stats[itemId] = entry;
+        this.saveStats();
+    }
+
+    getItemLabel(itemId) {
+        const [kind, a, b] = itemId.split(':');
+        if (kind === 'quality') return CHORD_TYPES.has(a) ? CHORD_TYPES.get(a).name : a;
+        if (kind === 'inversion') return INVERSION_NAMES[a];
+        if (kind === 'interval') return EarTrainingQuiz.INTERVAL_NAMES[a];
+        // Numerals are the same in every key of a mode
+        return `${KeyAnalysis.getDiatonicChords({ tonic: 'C', mode: a })[b].numeral} (${a})`;
+    }
+
+    // Weakest items first
+    renderStats() {
+        const entries = Object.entries(this.stats)
+            .map(([id, s]) => ({ id, ...s, accuracy: s.correct / (s.correct + s.wrong) }))
+            .sort((a, b) => a.accuracy - b.accuracy);
+        const list = document.getElementById('quiz-stats');
+
+        if (entries.length === 0) {
+            list.innerHTML = '<div class="empty-state"></div>';
+            list.firstChild.textContent = `No answers yet for ${this.student}.`;
+            return;
+        }
+        const total = entries.reduce((sum, e) => sum + e.correct + e.wrong, 0);
+        const correct = entries.reduce((sum, e) => sum + e.correct, 0);
+        list.innerHTML = `<p class="quiz-summary"></p>
+            <table class="practice-table">
+                <thead><tr><th>Item</th><th>Correct</th><th>Wrong</th><th>Accuracy</th></tr></thead>
+                <tbody>${entries.map(e => `<tr><td>${this.getItemLabel(e.id)}</td><td>${e.correct}</td><td>${e.wrong}</td><td>${Math.round(e.accuracy * 100)}%</td></tr>`).join('')}</tbody>
+            </table>`;
+        // The student name is free text
+        list.querySelector('.quiz-summary').textContent = `${this.student}: ${correct}/${total} correct (${Math.round((correct / total) * 100)}%)`;
+    }
+
+    setFeedback(message, kind) {
+        const feedback = document.getElementById('quiz-feedback');
+        feedback.textContent = message;
+        feedback.className = `quiz-feedback ${kind || ''}`;
+    }
+
+    // While open, chords played on the MIDI keyboard answer the quiz instead of step entry
+    showModal() {
+        this.savedMidi = { stepRecording: this.app.midi.stepRecording, onChord: this.app.midi.onChord };
+        this.app.midi.setStepRecording(true);
+        this.app.midi.onChord = (notes) => this.onChordPlayed(notes);
+        this.renderQuestion();
+        this.renderStats();
+        this.modal.classList.add('show');
+    }
+
+    hideModal() {
+        this.modal.classList.remove('show');
+        if (this.savedMidi) {
+            this.app.midi.setStepRecording(this.savedMidi.stepRecording);
+            this.app.midi.onChord = this.savedMidi.onChord;
+            this.savedMidi = null;
+        }
+    }
+}
+
+// Records live playing (MIDI keyboard and on-screen keys) against the transport
+// into App.notes, with optional quantizing of each take.
+class PerformanceRecorder {
+    static GRIDS = [[1, '1/4'], [1 / 2, '1/8'], [1 / 3, '1/8 Triplet'], [1 / 4, '1/16'], [1 / 6, '1/16 Triplet'], [1 / 8, '1/32']];
+
+    // Shortest note kept, in beats
+    static MIN_LENGTH = 1 / 64;
+
+    constructor(app) {
+        this.app = app;
+        this.active = false;
+        this.take = [];
+        this.held = new Map(); // note -> { velocity, time } for keys still down
+        this.loadOptions();
+        this.setupUI();
+    }
+
+    loadOptions() {
+        // mode: 'overdub' adds to the track, 'replace' clears what the take played over.
+        // grid in beats, strength 0-100 %, swing 50 (straight) to 75 %
+        this.options = { mode: 'overdub', grid: 1 / 4, strength: 100, swing: 50, autoQuantize: false };
+        const saved = localStorage.getItem('pianoAppRecording');
+        if (saved) {
+            try {
+                this.options = { ...this.options, ...JSON.parse(saved) };
+            } catch (e) {
+                console.error('Failed to load recording options:', e);
+            }
+        }
+    }
+
+    saveOptions() {
+        localStorage.setItem('pianoAppRecording', JSON.stringify(this.options));
+    }
+
+    setupUI() {
+        const modeSelect = document.getElementById('record-mode');
+        const gridSelect = document.getElementById('quantize-grid');
+        const strengthInput = document.getElementById('quantize-strength');
+        const swingInput = document.getElementById('quantize-swing');
+        const autoToggle = document.getElementById('auto-quantize');
+
+        gridSelect.innerHTML = PerformanceRecorder.GRIDS.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        modeSelect.value = this.options.mode;
+        gridSelect.value = this.options.grid;
+        strengthInput.value = this.options.strength;
+        swingInput.value = this.options.swing;
+        autoToggle.checked = this.options.autoQuantize;
+        this.updateLabels();
+
+        [modeSelect, gridSelect, strengthInput, swingInput, autoToggle].forEach(input => input.addEventListener('input', () => {
+            this.options = {
+                mode: modeSelect.value,
+                grid: parseFloat(gridSelect.value),
+                strength: parseInt(strengthInput.value),
+                swing: parseInt(swingInput.value),
+                autoQuantize: autoToggle.checked
+            };
+            this.saveOptions();
+            this.updateLabels();
+        }));
+
+        document.getElementById('record-btn').addEventListener('click', () => {
+            if (this.active) this.finish();
+            else this.start();
+        });
+        document.getElementById('quantize-btn').addEventListener('click', () => this.app.quantizeNotes(this.options));
+        document.getElementById('clear-notes-btn').addEventListener('click', () => this.app.clearNotes());
+    }
+
+    updateLabels() {
+        document.getElementById('quantize-strength-value').textContent = `${this.options.strength}%`;
+        document.getElementById('quantize-swing-value').textContent = `${this.options.swing}%`;
+    }
+
+    // Moves note starts toward the grid; swing delays every second grid position.
+    // Lengths are kept, so notes move as a whole.
+    static quantize(notes, { grid, strength = 100, swing = 50 }) {
+        return notes.map(note => {
+            const index = Math.round(note.start / grid);
+            let target = index * grid;
+            if (index % 2 === 1) target += (grid * 2 * (swing - 50)) / 100;
+
+            const start = note.start + ((target - note.start) * strength) / 100;
+            return { ...note, start: Math.max(0, Math.round(start * 10000) / 10000) };
+        });
+    }
+
+    // Starts playback (with its count-in) if needed; otherwise punches in
+    start() {
+        const app = this.app;
+        if (app.chords.length === 0) {
+            app.ui.showNotification('Add chords before recording');
+            return;
+        }
+
+        this.active = true;
+        this.take = [];
+        this.held = new Map();
+        this.startTime = this.now();
+        app.midi.onNoteEvent = (note, velocity, isNoteOn) => this.onNoteEvent(note, velocity, isNoteOn);
+
+        const button = document.getElementById('record-btn');
+        button.classList.add('recording');
+        button.textContent = '■ Stop Rec';
+        this.updateStatus();
+
+        if (!app.isPlaying) app.play();
+    }
+
+    // The player hears the transport late by the output latency, so notes are timed against what they heard
+    now() {
+        const ctx = this.app.audio.ctx;
+        return ctx.currentTime - (ctx.outputLatency || ctx.baseLatency || 0);
+    }
+
+    onNoteEvent(note, velocity, isNoteOn) {
+        const time = this.now();
+        if (this.held.has(note)) {
+            this.addNote(note, this.held.get(note), time);
+            this.held.delete(note);
+        }
+        if (isNoteOn) this.held.set(note, { velocity, time });
+    }
+
+    addNote(note, { velocity, time }, endTime) {
+        const beat = this.app.getTransportBeat(time);
+        if (!beat) return;
+
+        // Lengths come from the clock, so notes held across a loop wrap stay intact
+        let start = beat.position;
+        let length = (endTime - time) / beat.secondsPerBeat;
+        // Count-in pickups before the first beat of the song start with it
+        if (start < 0) {
+            length += start;
+            start = 0;
+        }
+        if (length <= 0) return;
+
+        this.take.push({
+            note,
+            velocity,
+            start: Math.round(start * 10000) / 10000,
+            length: Math.max(PerformanceRecorder.MIN_LENGTH, Math.round(length * 10000) / 10000)
+        });
+        this.updateStatus();
+    }
+
+    // Beat spans the transport played through while recording, excluding the count-in
+    getCoveredSpans(endTime) {
+        const transport = this.app.transport;
+        if (!transport) return [];
+        return transport.beatMap
+            .filter(beat => !beat.countIn && beat.time < endTime && beat.time + beat.secondsPerBeat > this.startTime)
+            .map(beat => [
+                beat.position + Math.max(0, this.startTime - beat.time) / beat.secondsPerBeat,
+                beat.position + Math.min(1, (endTime - beat.time) / beat.secondsPerBeat)
+            ]);
+    }
+
+    // Ends the take and writes it into the note track as one undo step; playback carries on
+    finish() {
+        if (!this.active) return;
+        const app = this.app;
+        const endTime = this.now();
+        this.held.forEach((held, note) => this.addNote(note, held, endTime));
+        this.held = new Map();
+
+        this.active = false;
+        app.midi.onNoteEvent = null;
+        const button = document.getElementById('record-btn');
+        button.classList.remove('recording');
+        button.textContent = '● Rec';
+
+        const take = this.options.autoQuantize ? PerformanceRecorder.quantize(this.take, this.options) : this.take;
+        const covered = this.options.mode === 'replace' ? this.getCoveredSpans(endTime) : [];
+        this.take = [];
+
+        if (take.length > 0 || covered.length > 0) {
+            app.saveState();
+            app.notes = app.notes
+                .filter(note => !covered.some(([from, to]) => note.start >= from && note.start < to))
+                .concat(take)
+                .sort((a, b) => a.start - b.start || a.note - b.note);
+            app.ui.showNotification(`Recorded ${take.length} notes`);
+        }
+        app.ui.renderNoteTrack(app.notes);
+    }
+
+    updateStatus() {
+        document.getElementById('note-track-info').textContent = `Recording: ${this.take.length} notes`;
+    }
+}
+
+// Piano-roll editor for App.notes, the melody track under the chord timeline.
+// Click empty space to draw, drag notes to move them or their right edge to
+// resize, Shift/Ctrl-drag to select with a box, double-click to delete.
+class PianoRoll {
+    static BEAT_WIDTH = 40; // px
+    static ROW_HEIGHT = 12; // px
+    static LOW = 36; // C2
+    static HIGH = 96; // C7
+
+    constructor(app) {
+        this.app = app;
+        this.container = document.getElementById('piano-roll');
+        this.grid = document.getElementById('roll-grid-area');
+        this.snap = 1 / 2; // beats
+        this.velocity = 100; // for new notes
+        this.noteLength = 1 / 2; // beats, the length last drawn or resized to
+        this.selected = new Set(); // note objects from App.notes
+        this.clipboard = [];
+        this.drag = null;
+        this.lastDrawn = null; // Drawn by the latest click, so a double-click can take it back
+        this.auditioning = null;
+        this.setupUI();
+    }
+
+    setupUI() {
+        const { ROW_HEIGHT, LOW, HIGH } = PianoRoll;
+        const keys = document.getElementById('roll-keys');
+        const rows = document.createElement('div');
+        rows.className = 'roll-rows';
+        for (let note = HIGH; note >= LOW; note--) {
+            const isBlack = [1, 3, 6, 8, 10].includes(note % 12);
+            const label = document.createElement('div');
+            label.className = `roll-key ${isBlack ? 'black' : 'white'}`;
+            label.style.height = `${ROW_HEIGHT}px`;
+            if (note % 12 === 0) label.textContent = `C${Math.floor(note / 12) - 1}`;
+            keys.appendChild(label);
+
+            const row = document.createElement('div');
+            row.className = `roll-row ${isBlack ? 'black' : ''}`;
+            row.style.height = `${ROW_HEIGHT}px`;
+            rows.appendChild(row);
+        }
+        this.grid.style.height = `${(HIGH - LOW + 1) * ROW_HEIGHT}px`;
+        this.grid.appendChild(rows);
+
+        this.layer = document.createElement('div');
+        this.layer.className = 'roll-layer';
+        this.grid.appendChild(this.layer);
+
+        this.playhead = document.createElement('div');
+        this.playhead.className = 'roll-playhead';
+        this.grid.appendChild(this.playhead);
+
+        this.selectionBox = document.createElement('div');
+        this.selectionBox.className = 'roll-selection-box';
+        this.grid.appendChild(this.selectionBox);
+
+        // Start around middle C
+        this.container.scrollTop = (HIGH - 72) * ROW_HEIGHT;
+
+        const snapSelect = document.getElementById('roll-grid');
+        snapSelect.innerHTML = PerformanceRecorder.GRIDS.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        snapSelect.value = this.snap;
+        snapSelect.addEventListener('change', () => {
+            this.snap = parseFloat(snapSelect.value);
+        });
+
+        const velocityInput = document.getElementById('roll-velocity');
+        velocityInput.addEventListener('input', () => {
+            document.getElementById('roll-velocity-value').textContent = velocityInput.value;
+        });
+        velocityInput.addEventListener('change', () => this.setVelocity(parseInt(velocityInput.value)));
+
+        this.grid.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        document.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        document.addEventListener('mouseup', () => this.onMouseUp());
+        this.grid.addEventListener('dblclick', (e) => {
+            const el = e.target.closest('.roll-note');
+            if (!el) return;
+            const note = this.app.notes[parseInt(el.dataset.index)];
+            if (note === this.lastDrawn) {
+                // The first click drew this note, so take that back instead of adding a delete step
+                this.app.notes = this.app.notes.filter(n => n !== note);
+                this.app.discardLastState();
+                this.lastDrawn = null;
+                this.selected = new Set();
+                this.app.ui.renderNoteTrack(this.app.notes);
+                return;
+            }
+            this.selected = new Set([note]);
+            this.deleteSelected();
+        });
+    }
+
+    render() {
+        const app = this.app;
+        const { BEAT_WIDTH, ROW_HEIGHT, HIGH } = PianoRoll;
+        const numerator = app.timeSignature.numerator;
+
+        // The song plus a spare bar to draw into
+        const songBeats = app.getBeatOffset(app.chords.length);
+        const lastEnd = app.notes.reduce((end, n) => Math.max(end, n.start + n.length), 0);
+        const beats = (Math.ceil(Math.max(songBeats, lastEnd, numerator * 4) / numerator) + 1) * numerator;
+        this.grid.style.width = `${beats * BEAT_WIDTH}px`;
+        this.grid.style.backgroundSize = `${numerator * BEAT_WIDTH}px 100%, ${BEAT_WIDTH}px 100%`;
+
+        this.selected = new Set([...this.selected].filter(n => app.notes.includes(n)));
+        this.layer.innerHTML = '';
+
+        let beat = 0;
+        app.chords.forEach(chord => {
+            const line = document.createElement('div');
+            line.className = 'roll-chord-line';
+            line.style.left = `${beat * BEAT_WIDTH}px`;
+            if (chord.type !== 'rest') line.textContent = chord.name;
+            this.layer.appendChild(line);
+            beat += chord.duration || 4;
+        });
+
+        app.notes.forEach((n, index) => {
+            const el = document.createElement('div');
+            el.className = `roll-note ${this.selected.has(n) ? 'selected' : ''}`;
+            el.dataset.index = index;
+            el.style.left = `${n.start * BEAT_WIDTH}px`;
+            el.style.top = `${(HIGH - n.note) * ROW_HEIGHT}px`;
+            el.style.width = `${Math.max(3, n.length * BEAT_WIDTH)}px`;
+            el.style.height = `${ROW_HEIGHT - 1}px`;
+            el.style.opacity = 0.4 + (0.6 * n.velocity) / 127;
+            el.title = `${NOTE_NAMES[n.note % 12]}${Math.floor(n.note / 12) - 1} velocity ${n.velocity}`;
+
+            const handle = document.createElement('div');
+            handle.className = 'roll-note-handle';
+            el.appendChild(handle);
+            this.layer.appendChild(el);
+        });
+    }
+
+    setPlayhead(beat) {
+        this.playhead.style.left = `${beat * PianoRoll.BEAT_WIDTH}px`;
+    }
+
+    getPosition(e) {
+        const { BEAT_WIDTH, ROW_HEIGHT, LOW, HIGH } = PianoRoll;
+        const rect = this.grid.getBoundingClientRect();
+        const beat = Math.max(0, (e.clientX - rect.left) / BEAT_WIDTH);
+        const note = Math.max(LOW, Math.min(HIGH, HIGH - Math.floor((e.clientY - rect.top) / ROW_HEIGHT)));
+        return { beat, note };
+    }
+
+    onMouseDown(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        this.grid.focus();
+        // The second press of a double-click is left to the dblclick handler
+        if (e.detail > 1) return;
+        this.lastDrawn = null;
+        const app = this.app;
+        const position = this.getPosition(e);
+        const el = e.target.closest('.roll-note');
+
+        if (el) {
+            const note = app.notes[parseInt(el.dataset.index)];
+            if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                if (this.selected.has(note)) this.selected.delete(note);
+                else this.selected.add(note);
+            } else if (!this.selected.has(note)) {
+                this.selected = new Set([note]);
+            }
+            this.startDrag(e.target.classList.contains('roll-note-handle') ? 'resize' : 'move', position, false);
+            this.showSelectedVelocity();
+            this.audition(note.note, note.velocity);
+        } else if (e.shiftKey || e.ctrlKey || e.metaKey) {
+            // Ctrl adds to the selection, Shift starts a new one
+            if (!e.ctrlKey && !e.metaKey) this.selected = new Set();
+            this.drag = { mode: 'select', origin: position, initial: new Set(this.selected) };
+            this.updateSelectionBox(position);
+            this.selectionBox.style.display = 'block';
+        } else {
+            // Draw a note, then drag to set its length
+            app.saveState();
+            const start = Math.floor(position.beat / this.snap) * this.snap;
+            const note = { note: position.note, velocity: this.velocity, start: Math.round(start * 10000) / 10000, length: this.noteLength };
+            app.notes.push(note);
+            this.lastDrawn = note;
+            this.selected = new Set([note]);
+            this.startDrag('resize', position, true);
+            this.audition(note.note, note.velocity);
+        }
+        this.render();
+    }
+
+    startDrag(mode, origin, saved) {
+        this.drag = {
+            mode,
+            origin,
+            saved, // Whether this gesture already has its undo step
+            originals: [...this.selected].map(n => ({ n, note: n.note, start: n.start, length: n.length }))
+        };
+    }
+
+    onMouseMove(e) {
+        if (!this.drag) return;
+        const position = this.getPosition(e);
+        const drag = this.drag;
+
+        if (drag.mode === 'select') {
+            this.updateSelectionBox(position);
+            return;
+        }
+
+        const snap = this.snap;
+        const beats = Math.round((position.beat - drag.origin.beat) / snap) * snap;
+        const semitones = drag.mode === 'move' ? position.note - drag.origin.note : 0;
+        const changed = drag.originals.some(o => drag.mode === 'move'
+            ? o.n.start !== Math.max(0, o.start + beats) || o.n.note !== o.note + semitones
+            : o.n.length !== Math.max(snap, o.length + beats));
+        if (!changed) return;
+
+        if (!drag.saved) {
+            this.app.saveState();
+            // The undo snapshot holds copies, so keep editing the live notes
+            drag.saved = true;
+        }
+
+        drag.originals.forEach(o => {
+            if (drag.mode === 'move') {
+                o.n.start = Math.round(Math.max(0, o.start + beats) * 10000) / 10000;
+                o.n.note = Math.max(PianoRoll.LOW, Math.min(PianoRoll.HIGH, o.note + semitones));
+            } else {
+                o.n.length = Math.round(Math.max(snap, o.length + beats) * 10000) / 10000;
+                this.noteLength = o.n.length;
+            }
+        });
+        if (semitones !== 0 && drag.originals.length > 0) {
+            const first = drag.originals[0].n;
+            if (first.note !== this.auditioning) this.audition(first.note, first.velocity);
+        }
+        this.render();
+    }
+
+    onMouseUp() {
+        if (!this.drag) return;
+        const drag = this.drag;
+        this.drag = null;
+        this.selectionBox.style.display = 'none';
+        this.audition(null);
+
+        if (drag.saved) {
+            this.app.notes.sort((a, b) => a.start - b.start || a.note - b.note);
+            this.app.ui.renderNoteTrack(this.app.notes);
+        }
+        this.showSelectedVelocity();
+    }
+
+    updateSelectionBox(position) {
+        const { BEAT_WIDTH, ROW_HEIGHT, HIGH } = PianoRoll;
+        const origin = this.drag.origin;
+        const from = Math.min(origin.beat, position.beat);
+        const to = Math.max(origin.beat, position.beat);
+        const low = Math.min(origin.note, position.note);
+        const high = Math.max(origin.note, position.note);
+
+        this.selectionBox.style.left = `${from * BEAT_WIDTH}px`;
+        this.selectionBox.style.width = `${(to - from) * BEAT_WIDTH}px`;
+        this.selectionBox.style.top = `${(HIGH - high) * ROW_HEIGHT}px`;
+        this.selectionBox.style.height = `${(high - low + 1) * ROW_HEIGHT}px`;
+
+        this.selected = new Set(this.drag.initial);
+        this.app.notes.forEach(n => {
+            if (n.note >= low && n.note <= high && n.start < to && n.start + n.length > from) this.selected.add(n);
+        });
+        this.render();
+    }
+
+    // Plays a note on the live instrument while it is being edited; null stops it
+    audition(note, velocity = 100) {
+        if (this.auditioning !== null) this.app.audio.stopNote(this.auditioning);
+        this.auditioning = note;
+        if (note !== null) this.app.audio.playNote(note, velocity);
+    }
+
+    showSelectedVelocity() {
+        if (this.selected.size === 0) return;
+        const velocity = [...this.selected][0].velocity;
+        document.getElementById('roll-velocity').value = velocity;
+        document.getElementById('roll-velocity-value').textContent = velocity;
+        this.velocity = velocity;
+    }
+
+    // Applies to the selected notes and to notes drawn from now on
+    setVelocity(velocity) {
+        this.velocity = velocity;
+        if (this.selected.size === 0) return;
+        this.app.saveState();
+        this.selected.forEach(n => {
+            n.velocity = velocity;
+        });
+        this.app.ui.renderNoteTrack(this.app.notes);
+    }
+
+    copySelected() {
+        if (this.selected.size === 0) return;
+        const notes = [...this.selected].sort((a, b) => a.start - b.start);
+        const first = notes[0].start;
+        this.clipboard = notes.map(n => ({ ...n, start: n.start - first }));
+        this.app.ui.showNotification(`Copied ${notes.length} notes`);
+    }
+
+    deleteSelected() {
+        if (this.selected.size === 0) return;
+        this.app.saveState();
+        this.app.notes = this.app.notes.filter(n => !this.selected.has(n));
+        this.selected = new Set();
+        this.app.ui.renderNoteTrack(this.app.notes);
+    }
+
+    // Pastes at the playhead, like chords
+    paste() {
+        if (this.clipboard.length === 0) return;
+        const app = this.app;
+        const offset = app.getBeatOffset(app.currentChordIndex);
+        app.saveState();
+
+        const pasted = this.clipboard.map(n => ({ ...n, start: Math.round((n.start + offset) * 10000) / 10000 }));
+        app.notes = app.notes.concat(pasted).sort((a, b) => a.start - b.start || a.note - b.note);
+        this.selected = new Set(pasted);
+        app.ui.renderNoteTrack(app.notes);
+        app.ui.showNotification(`Pasted ${pasted.length} notes`);
+    }
+
+    // Editing shortcuts act on the piano roll while it has focus; returns whether the key was handled
+    handleShortcut(e) {
+        if (document.activeElement !== this.grid) return false;
+        const settings = this.app.settings;
+
+        if (e.key === 'Escape') {
+            this.selected = new Set();
+            this.render();
+        } else if (settings.matchesShortcut(e, 'copy')) {
+            this.copySelected();
+        } else if (settings.matchesShortcut(e, 'cut')) {
+            this.copySelected();
+            this.deleteSelected();
+        } else if (settings.matchesShortcut(e, 'paste')) {
+            this.paste();
+        } else if (settings.matchesShortcut(e, 'delete') || e.key === 'Backspace') {
+            this.deleteSelected();
+        } else {
+            return false;
+        }
+        e.preventDefault();
+        return true;
+    }
+}
+
+// The arrangement strip: the song's sections in play order. Until an entry is
+// moved, duplicated or removed the order follows the timeline; after that the
+// song keeps its own arrangement, which "Timeline Order" clears again.
+class ArrangementView {
+    constructor(app) {
+        this.app = app;
+        this.strip = document.getElementById('arrangement-strip');
+        this.setupUI();
+    }
+
+    setupUI() {
+        document.getElementById('arrangement-reset').addEventListener('click', () => this.app.setArrangement([]));
+        document.getElementById('arrangement-add').addEventListener('change', (e) => {
+            if (e.target.value) this.app.setArrangement([...this.app.getArrangement(), e.target.value]);
+            e.target.value = '';
+        });
+
+        this.strip.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-entry-action]');
+            if (!button) return;
+            const position = parseInt(button.closest('.arrangement-chip').dataset.position);
+            const arrangement = this.app.getArrangement();
+            const id = arrangement[position];
+
+            switch (button.dataset.entryAction) {
+                case 'left':
+                case 'right': {
+                    const target = position + (button.dataset.entryAction === 'left' ? -1 : 1);
+                    if (target < 0 || target >= arrangement.length) return;
+                    [arrangement[position], arrangement[target]] = [arrangement[target], arrangement[position]];
+                    this.app.setArrangement(arrangement);
+                    break;
+                }
+                case 'duplicate':
+                    arrangement.splice(position + 1, 0, id);
+                    this.app.setArrangement(arrangement);
+                    break;
+                case 'remove':
+                    arrangement.splice(position, 1);
+                    this.app.setArrangement(arrangement);
+                    break;
+                case 'loop':
+                    this.app.loopSection(id);
+                    break;
+            }
+        });
+
+        this.strip.addEventListener('change', (e) => {
+            const id = e.target.dataset.section;
+            if (!id) return;
+            if (e.target.classList.contains('section-repeat')) this.app.updateSection(id, { repeat: parseInt(e.target.value) });
+            if (e.target.classList.contains('section-color')) this.app.updateSection(id, { color: e.target.value });
+        });
+
+        this.strip.addEventListener('dblclick', (e) => {
+            const name = e.target.closest('.chip-name');
+            if (name) this.app.renameSection(name.dataset.section);
+        });
+    }
+
+    render() {
+        const app = this.app;
+        const arrangement = app.getArrangement();
+        const custom = app.arrangement.length > 0;
+
+        this.strip.innerHTML = '';
+        if (arrangement.length === 0) {
+            this.strip.innerHTML = '<div class="empty-state">No sections yet. Select chords and choose Section → New Section from the right-click menu.</div>';
+        }
+
+        arrangement.forEach((id, position) => {
+            const section = app.getSection(id);
+            const chip = document.createElement('div');
+            chip.className = 'arrangement-chip';
+            chip.dataset.position = position;
+            chip.style.borderColor = section.color;
+
+            const repeats = [1, 2, 3, 4, 5, 6, 7, 8]
+                .map(n => `<option value="${n}" ${n === section.repeat ? 'selected' : ''}>×${n}</option>`).join('');
+            chip.innerHTML = `
+                <input type="color" class="section-color" value="${section.color}" title="Section colour">
+                <span class="chip-name" title="Double-click to rename"></span>
+                <select class="section-repeat" title="Repeats">${repeats}</select>
+                <button class="chip-btn" data-entry-action="left" title="Move earlier">◀</button>
+                <button class="chip-btn" data-entry-action="right" title="Move later">▶</button>
+                <button class="chip-btn" data-entry-action="duplicate" title="Play again">⧉</button>
+                <button class="chip-btn" data-entry-action="remove" title="Remove from arrangement">✕</button>
+                <button class="chip-btn" data-entry-action="loop" title="Loop this section">⟲</button>`;
+            chip.querySelectorAll('.section-color, .chip-name, .section-repeat').forEach(el => {
+                el.dataset.section = id;
+            });
+            chip.querySelector('.chip-name').textContent = section.name;
+            this.strip.appendChild(chip);
+        });
+
+        const addSelect = document.getElementById('arrangement-add');
+        addSelect.innerHTML = '<option value="">+ Add Section</option>';
+        app.sections.filter(section => app.getSectionIndices(section.id).length > 0).forEach(section => {
+            const opt = document.createElement('option');
+            opt.value = section.id;
+            opt.text = section.name;
+            addSelect.add(opt);
+        });
+        document.getElementById('arrangement-reset').disabled = !custom;
+
+        // A custom arrangement only plays sections, so loose chords are skipped
+        const unplayed = custom ? app.chords.filter(chord => !chord.section || !arrangement.includes(chord.section)).length : 0;
+        document.getElementById('arrangement-info').textContent = custom
+            ? `Custom order${unplayed > 0 ? ` (${unplayed} chords not in the arrangement)` : ''}`
+            : 'Timeline order';
+    }
+}
+
+// The tempo lane above the chord timeline: the tempo curve, fermatas and a
+// handle per tempo point. Drag a handle to change its tempo, double-click it to
+// remove it, or double-click the lane over a chord to add a point there.
+class TempoLane {
+    static HEIGHT = 60; // px
+    static PADDING = 8; // px
+    static MIN_BPM = 40;
+    static MAX_BPM = 240;
+
+    constructor(app) {
+        this.app = app;
+        this.lane = document.getElementById('tempo-lane');
+        this.timeline = document.getElementById('chord-timeline');
+        this.content = document.createElement('div');
+        this.content.className = 'tempo-lane-content';
+        this.lane.appendChild(this.content);
+        this.drag = null;
+        this.setupUI();
+    }
+
+    setupUI() {
+        // The lane follows the timeline's horizontal scroll
+        this.timeline.addEventListener('scroll', () => {
+            this.content.style.transform = `translateX(${-this.timeline.scrollLeft}px)`;
+        });
+
+        this.content.addEventListener('mousedown', (e) => {
+            const point = e.target.closest('.tempo-point');
+            if (!point || e.button !== 0) return;
+            e.preventDefault();
+            this.drag = { index: point.dataset.index, saved: false };
+        });
+        document.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        document.addEventListener('mouseup', () => {
+            this.drag = null;
+        });
+
+        this.content.addEventListener('dblclick', (e) => {
+            const point = e.target.closest('.tempo-point');
+            if (point) {
+                if (point.dataset.index !== 'base') this.app.setTempoPoint(parseInt(point.dataset.index), null);
+                return;
+            }
+            const index = this.getChordIndexAt(e.clientX);
+            if (index !== null && !this.app.chords[index].tempo) {
+                this.app.setTempoPoint(index, { bpm: Math.round(this.app.getTempoAt(this.app.getBeatOffset(index))) });
+            }
+        });
+    }
+
+    bpmToY(bpm) {
+        const { HEIGHT, PADDING, MIN_BPM, MAX_BPM } = TempoLane;
+        return HEIGHT - PADDING - ((bpm - MIN_BPM) / (MAX_BPM - MIN_BPM)) * (HEIGHT - 2 * PADDING);
+    }
+
+    yToBpm(y) {
+        const { HEIGHT, PADDING, MIN_BPM, MAX_BPM } = TempoLane;
+        const bpm = MIN_BPM + ((HEIGHT - PADDING - y) / (HEIGHT - 2 * PADDING)) * (MAX_BPM - MIN_BPM);
+        return Math.round(Math.max(MIN_BPM, Math.min(MAX_BPM, bpm)));
+    }
+
+    getChordIndexAt(clientX) {
+        const x = clientX - this.content.getBoundingClientRect().left;
+        const chordEls = Array.from(this.timeline.querySelectorAll('.chord-item'));
+        const index = chordEls.findIndex(el => x >= el.offsetLeft && x < el.offsetLeft + el.offsetWidth);
+        return index >= 0 ? index : null;
+    }
+
+    onMouseMove(e) {
+        if (!this.drag) return;
+        const app = this.app;
+        const bpm = this.yToBpm(e.clientY - this.content.getBoundingClientRect().top);
+
+        const chord = this.drag.index === 'base' ? null : app.chords[parseInt(this.drag.index)];
+        if (chord ? !chord.tempo || chord.tempo.bpm === bpm : bpm === app.bpm) return;
+
+        // One undo step per drag
+        if (!this.drag.saved) app.saveState();
+        this.drag.saved = true;
+        if (chord) {
+            chord.tempo = { ...chord.tempo, bpm };
+        } else {
+            app.bpm = bpm;
+            document.getElementById('bpm').value = bpm;
+        }
+        app.updateTransportTempo();
+        this.render();
+    }
+
+    render() {
+        const app = this.app;
+        const chordEls = Array.from(this.timeline.querySelectorAll('.chord-item'));
+        this.content.innerHTML = '';
+        this.content.style.width = `${this.timeline.scrollWidth}px`;
+        if (chordEls.length !== app.chords.length || chordEls.length === 0) return;
+
+        const points = app.getTempoPoints();
+        const line = [];
+        let beat = 0;
+        app.chords.forEach((chord, index) => {
+            const el = chordEls[index];
+            const duration = chord.duration || 4;
+            const beatWidth = el.offsetWidth / duration;
+
+            // Each beat plays at the tempo where it starts; ramps show as slopes
+            for (let b = 0; b < duration; b++) {
+                const x = el.offsetLeft + b * beatWidth;
+                line.push(`${x},${this.bpmToY(app.getTempoAt(beat + b, points))}`);
+                line.push(`${x + beatWidth},${this.bpmToY(app.getTempoAt(beat + b + 0.999, points))}`);
+            }
+
+            if (chord.fermata) {
+                const mark = document.createElement('div');
+                mark.className = 'tempo-fermata';
+                mark.style.left = `${el.offsetLeft + el.offsetWidth / 2}px`;
+                mark.textContent = '𝄐';
+                this.content.appendChild(mark);
+            }
+            if (chord.tempo || index === 0) {
+                const bpm = chord.tempo ? chord.tempo.bpm : app.bpm;
+                this.content.appendChild(this.createPoint(chord.tempo ? index : 'base', el.offsetLeft, bpm, chord.tempo && chord.tempo.ramp));
+            }
+            beat += duration;
+        });
+
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('class', 'tempo-curve');
+        svg.setAttribute('width', this.timeline.scrollWidth);
+        svg.setAttribute('height', TempoLane.HEIGHT);
+        const polyline = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+        polyline.setAttribute('points', line.join(' '));
+        svg.appendChild(polyline);
+        this.content.prepend(svg);
+    }
+
+    createPoint(index, x, bpm, ramp) {
+        const point = document.createElement('div');
+        point.className = `tempo-point ${ramp ? 'ramp' : ''} ${index === 'base' ? 'base' : ''}`;
+        point.dataset.index = index;
+        point.style.left = `${x}px`;
+        point.style.top = `${this.bpmToY(bpm)}px`;
+        point.title = index === 'base'
+            ? `Song tempo ${bpm} BPM (drag to change)`
+            : `${ramp ? 'Ramp to' : 'Tempo'} ${bpm} BPM (drag to change, double-click to remove)`;
+        point.innerHTML = `<span class="tempo-label">${bpm}</span>`;
+        return point;
+    }
+}
+
+// Lets the user choose the nearest chord when step entry can't recognise what was played
+class ChordPickerDialog {
+    constructor(app) {
+        this.app = app;
+        this.modal = document.getElementById('chord-picker-modal');
+        this.setupUI();
+    }
+
+    setupUI() {
+        const closeBtn = document.getElementById('close-chord-picker');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hideModal());
+        }
+
+        // Click outside to close
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hideModal();
+            }
+        });
+    }
+
+    show(notes, candidates) {
+        const noteNames = notes.map(n => KeyAnalysis.spell(NOTE_NAMES[n % 12], this.app.key)).join(' ');
+        document.getElementById('chord-picker-detected').textContent = `Detected notes: ${noteNames}`;
+
+        const list = document.getElementById('chord-picker-list');
+        list.innerHTML = '';
+        candidates.forEach(candidate => {
+            const name = this.app.getChordName(candidate.root, candidate.type, candidate.bass);
+            const differences = [
+                candidate.missing ? `${candidate.missing} missing` : '',
+                candidate.extra ? `${candidate.extra} extra` : ''
+            ].filter(Boolean).join(', ');
+
+            const btn = document.createElement('button');
+            btn.className = 'btn-secondary picker-option';
+            btn.innerHTML = `${name}${candidate.inversion ? ` <small>${INVERSION_NAMES[candidate.inversion]}</small>` : ''}` +
+                `<span class="picker-detail">${differences || 'exact'}</span>`;
+            btn.addEventListener('click', () => {
+                this.app.insertStepChord(candidate);
+                this.hideModal();
+            });
+            list.appendChild(btn);
+        });
+
+        this.modal.classList.add('show');
+    }
+
+    hideModal() {
+        this.modal.classList.remove('show');
+    }
+}
+
+class App {
+    // constraint: 'none', or keep the 'top' or 'bass' note between low and high
+    static VOICE_LEADING_DEFAULTS = { enabled: false, constraint: 'none', low: 60, high: 79 };
+
+    static FERMATA_STRETCH = 2; // A chord with a fermata lasts this many times as long
+
+    static SECTION_COLORS = ['#8b5cf6', '#10b981', '#f59e0b', '#3b82f6', '#ef4444', '#ec4899', '#14b8a6', '#eab308'];
+
+    constructor() {
+        this.audio = new AudioEngine();
+        this.ui = new AppUI();
+        this.midi = new MidiEngine(this.audio, this.ui);
+
+        this.chords = [];
+        this.notes = []; // Recorded note track: { note, velocity, start, length }, in beats from the start of the song
+        this.sections = []; // { id, name, color, repeat }; chords join one through chord.section
+        this.arrangement = []; // Section ids in play order; empty follows the timeline
+        this.snapToSections = false; // Loop markers snap to whole sections
+        this.isPlaying = false;
+        this.bpm = 120;
+        this.schedulerTimer = null;
+        this.animationId = null;
+        this.transport = null; // Look-ahead scheduler state while playing
+        this.playbackQueue = []; // Scheduled { time, type, ... } events awaiting the UI
+        this.heldChordNotes = []; // Playback notes currently highlighted
+        this.melodyNotes = new Map(); // Melody note -> number of sounding playback notes on that key
+        this.muteInternal = false; // Timeline playback only to MIDI out
+        this.dragStartIndex = null;
+        this.metronomeEnabled = false;
+        this.currentChordIndex = 0;
+        this.playRange = { start: 0, end: 0 };
+        this.loopEnabled = false;
+        this.timeSignature = { numerator: 4, denominator: 4 }; // Chord durations count the denominator's beats
+        this.metronomeSubdivision = 1; // Clicks per beat
+        this.countInBars = 0;
+        this.rhythm = { ...RhythmPattern.DEFAULTS }; // Song-wide playback pattern; chords may override the pattern
+        this.key = null; // { tonic, mode }, or null to estimate from the chords
+        this.liveTranspose = 0; // Semitones added to playback only; the chords are unchanged
+        this.voiceLeading = { ...App.VOICE_LEADING_DEFAULTS };
+
+        // Selection & Clipboard
+        this.selectedChordIndices = new Set();
+        this.clipboard = [];
+
+        // Undo/Redo Stacks
+        this.undoStack = [];
+        this.redoStack = [];
+        this.clearedRedoStack = []; // What the latest saveState cleared, for discardLastState
+
+        // Settings
+        this.settings = null;
+
+        // Song Library
+        this.currentSong = null; // { id, name } of the library entry being edited
+        this.isDirty = false;
+        this.library = new SongLibrary(this);
+        this.exportDialog = new ExportDialog(this);
+        this.chartDialog = new ChartDialog(this);
+        this.chordPicker = new ChordPickerDialog(this);
+        this.practice = new PracticeSession(this);
+        this.quiz = new EarTrainingQuiz(this);
+        this.recorder = new PerformanceRecorder(this);
+        this.pianoRoll = new PianoRoll(this);
+        this.arrangementView = new ArrangementView(this);
+        this.tempoLane = new TempoLane(this);
+        this.midi.onChord = (notes) => this.stepEnterChord(notes);
+
+        this.init();
+    }
+
+    init() {
+        this.midi.init();
+        this.ui.setupTimelineDrag();
+
+        this.ui.setupSelectionDrag();
+
+        // Initialize settings after DOM is ready
+        setTimeout(() => {
+            this.settings = new Settings();
+        }, 0);
+
+        // Event Listeners
+        document.querySelectorAll('.chord-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const root = btn.dataset.root;
+                this.addChord(root); // Type is determined by UI in addChord
+            });
+        });
+
+        document.getElementById('midi-input').addEventListener('change', (e) => {
+            this.midi.selectInput(e.target.value === '*' ? null : e.target.value);
+        });
+
+        document.getElementById('midi-channel').addEventListener('change', (e) => {
+            if (this.midi.selectedInputName === null) return;
+            this.midi.setChannelFilter(this.midi.selectedInputName, e.target.value === '' ? null : parseInt(e.target.value));
+            this.midi.allNotesOff();
+        });
+
+        document.getElementById('midi-output').addEventListener('change', (e) => {
+            this.midi.selectOutput(e.target.value === '' ? null : e.target.value);
+        });
+
+        document.getElementById('midi-output-channel').addEventListener('change', (e) => {
+            this.midi.setOutputChannel(parseInt(e.target.value));
+        });
+
+        document.getElementById('midi-thru').addEventListener('change', (e) => {
+            this.midi.setThru(e.target.checked);
+        });
+
+        const muteToggle = document.getElementById('mute-internal');
+        this.muteInternal = localStorage.getItem('pianoAppMuteInternal') === 'true';
+        muteToggle.checked = this.muteInternal;
+        muteToggle.addEventListener('change', (e) => {
+            this.muteInternal = e.target.checked;
+            localStorage.setItem('pianoAppMuteInternal', this.muteInternal);
+        });
+
+        document.getElementById('refresh-midi-btn').addEventListener('click', () => {
+            this.midi.init();
+            this.ui.showNotification("Refreshing MIDI devices...");
+        });
+
+        document.getElementById('play-btn').addEventListener('click', () => this.togglePlay());
+        document.getElementById('stop-btn').addEventListener('click', () => this.stop());
+        document.getElementById('clear-btn').addEventListener('click', () => this.clearChords());
+        document.getElementById('bpm').addEventListener('change', (e) => {
+            this.saveState();
+            this.bpm = parseInt(e.target.value);
+            this.updateTransportTempo();
+            this.tempoLane.render();
+        });
+
+        document.getElementById('metronome-toggle').addEventListener('change', (e) => {
+            this.metronomeEnabled = e.target.checked;
+            this.markDirty();
+        });
+
+        document.getElementById('metronome-subdivision').addEventListener('change', (e) => {
+            this.metronomeSubdivision = parseInt(e.target.value);
+            this.markDirty();
+        });
+
+        document.getElementById('count-in').addEventListener('change', (e) => {
+            this.countInBars = parseInt(e.target.value);
+            this.markDirty();
+        });
+
+        this.ui.populateChordOptions();
+        this.ui.populatePatternOptions();
+        this.ui.populateKeyOptions();
+
+        document.getElementById('song-key').addEventListener('change', (e) => {
+            const [tonic, mode] = e.target.value.split(':');
+            // Respelling rewrites every chord name, so it is one undo step
+            this.saveState();
+            this.key = e.target.value === 'auto' ? null : { tonic, mode };
+            this.respellChords();
+            this.ui.refreshTimeline(this.chords);
+            this.markDirty();
+        });
+
+        document.getElementById('step-record').addEventListener('change', (e) => {
+            this.midi.setStepRecording(e.target.checked);
+            this.ui.showNotification(e.target.checked ? 'Step entry on: play a chord to insert it' : 'Step entry off');
+        });
+
+        document.getElementById('transpose-down').addEventListener('click', () => this.transpose(-1));
+        document.getElementById('transpose-up').addEventListener('click', () => this.transpose(1));
+        document.getElementById('transpose-key').addEventListener('change', (e) => {
+            if (e.target.value) this.transposeToKey(e.target.value);
+            e.target.value = '';
+        });
+        document.getElementById('live-transpose').addEventListener('change', (e) => {
+            this.liveTranspose = Math.min(12, Math.max(-12, parseInt(e.target.value) || 0));
+            e.target.value = this.liveTranspose;
+        });
+
+        this.ui.populateVoiceRangeOptions();
+        ['voice-leading', 'voice-constraint', 'voice-range-low', 'voice-range-high'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.saveState();
+                this.voiceLeading = {
+                    enabled: document.getElementById('voice-leading').checked,
+                    constraint: document.getElementById('voice-constraint').value,
+                    low: parseInt(document.getElementById('voice-range-low').value),
+                    high: parseInt(document.getElementById('voice-range-high').value)
+                };
+                if (this.voiceLeading.low > this.voiceLeading.high) {
+                    [this.voiceLeading.low, this.voiceLeading.high] = [this.voiceLeading.high, this.voiceLeading.low];
+                    this.ui.updateVoiceLeadingControls(this.voiceLeading);
+                }
+                this.markDirty();
+            });
+        });
+        document.getElementById('apply-voice-leading').addEventListener('click', () => this.applyVoiceLeading());
+
+        document.getElementById('palette-sevenths').addEventListener('change', () => {
+            this.ui.renderDiatonicPalette(this.getSongKey());
+        });
+        ['rhythm-pattern', 'rhythm-subdivision', 'strum-spread'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.saveState();
+                this.rhythm = {
+                    pattern: document.getElementById('rhythm-pattern').value,
+                    subdivision: parseInt(document.getElementById('rhythm-subdivision').value),
+                    spread: parseInt(document.getElementById('strum-spread').value)
+                };
+                this.ui.updateRhythmControls(this.rhythm);
+                this.markDirty();
+            });
+        });
+
+        document.getElementById('time-signature').addEventListener('change', (e) => {
+            const [numerator, denominator] = e.target.value.split('/').map(n => parseInt(n));
+            this.saveState();
+            this.timeSignature = { numerator, denominator };
+            this.ui.updateDurationOptions(numerator);
+            this.ui.renderBarLines();
+            this.markDirty();
+        });
+
+        document.getElementById('rest-btn').addEventListener('click', () => {
+            this.addChord('Rest', 'rest');
+        });
+
+
+
+        // Volume Controls
+        document.getElementById('piano-vol').addEventListener('input', (e) => {
+            this.audio.setPianoVolume(e.target.value);
+        });
+
+        document.getElementById('metro-vol').addEventListener('input', (e) => {
+            this.audio.setMetronomeVolume(e.target.value);
+        });
+
+        // Instruments
+        this.setupInstruments();
+
+        // Key Labels Toggle
+        document.getElementById('key-labels-toggle').addEventListener('change', (e) => {
+            this.ui.toggleKeyLabels(e.target.checked);
+        });
+
+        // Loop and Reset Controls
+        document.getElementById('snap-sections').addEventListener('change', (e) => {
+            this.snapToSections = e.target.checked;
+        });
+
+        document.getElementById('loop-toggle').addEventListener('change', (e) => {
+            this.loopEnabled = e.target.checked;
+            this.markDirty();
+        });
+
+        document.getElementById('reset-btn').addEventListener('click', () => this.reset());
+
+        // Playback Bar
+        const playbackBar = document.getElementById('playback-bar');
+        if (playbackBar) {
+            playbackBar.addEventListener('input', (e) => {
+                this.seek(parseInt(e.target.value));
+            });
+        }
+
+        // Range Inputs
+        const rangeStart = document.getElementById('range-start');
+        if (rangeStart) {
+            rangeStart.addEventListener('change', (e) => {
+                let val = parseInt(e.target.value) - 1;
+                if (val < 0) val = 0;
+                this.playRange.start = val;
+                this.ui.updateMarkerPositions();
+                this.markDirty();
+            });
+        }
+
+        const rangeEnd = document.getElementById('range-end');
+        if (rangeEnd) {
+            rangeEnd.addEventListener('change', (e) => {
+                let val = parseInt(e.target.value) - 1;
+                this.playRange.end = val;
+                this.ui.updateMarkerPositions();
+                this.markDirty();
+            });
+        }
+
+        // Keyboard Shortcuts
+        document.addEventListener('keydown', (e) => {
+            // Skip if typing in input/textarea
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+            // Wait for settings to be initialized
+            if (!this.settings) return;
+
+            if (this.pianoRoll.handleShortcut(e)) return;
+
+            // Save Song
+            if (this.settings.matchesShortcut(e, 'save')) {
+                e.preventDefault();
+                this.library.save();
+            }
+
+            // Play/Pause
+            if (this.settings.matchesShortcut(e, 'play')) {
+                e.preventDefault();
+                this.togglePlay();
+            }
+
+            // Undo
+            if (this.settings.matchesShortcut(e, 'undo')) {
+                e.preventDefault();
+                this.undo();
+            }
+
+            // Redo
+            if (this.settings.matchesShortcut(e, 'redo')) {
+                e.preventDefault();
+                this.redo();
+            }
+
+            // Copy
+            if (this.settings.matchesShortcut(e, 'copy')) {
+                e.preventDefault();
+                this.copySelection();
+            }
+
+            // Cut
+            if (this.settings.matchesShortcut(e, 'cut')) {
+                e.preventDefault();
+                this.cutSelection();
+            }
+
+            // Paste
+            if (this.settings.matchesShortcut(e, 'paste')) {
+                e.preventDefault();
+                this.pasteSelection();
+            }
+
+            // Delete
+            if (this.settings.matchesShortcut(e, 'delete')) {
+                e.preventDefault();
+                this.deleteSelection();
+            }
+        });
 
-        // Save current state to redo stack
-        this.redoStack.push(JSON.parse(JSON.stringify(this.chords)));
+        // Reopen the last song once window.app is available to the timeline
+        setTimeout(() => this.library.restoreLastSong(), 0);
+    }
+
+    async setupInstruments() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('pianoAppInstruments')) || {};
+        } catch (e) {
+            console.error('Failed to load instrument selection:', e);
+        }
+
+        this.ui.updateInstrumentSelects(this.audio.getInstrumentList(), this.audio.sourceInstruments);
+        await this.audio.loadSampleSets();
+
+        ['live', 'playback'].forEach(source => {
+            const select = document.getElementById(`${source}-instrument`);
+            if (!select) return;
+            select.addEventListener('change', (e) => this.selectInstrument(source, e.target.value));
+        });
+
+        // Restore the saved choice once sample sets are registered
+        for (const source of ['live', 'playback']) {
+            if (saved[source] && this.audio.instruments.has(saved[source])) {
+                await this.selectInstrument(source, saved[source], false);
+            }
+        }
+        this.ui.updateInstrumentSelects(this.audio.getInstrumentList(), this.audio.sourceInstruments);
+    }
+
+    async selectInstrument(source, id, persist = true) {
+        const instrument = this.audio.instruments.get(id);
+        if (instrument && !instrument.loaded) this.ui.showNotification(`Loading ${instrument.name}...`);
+
+        try {
+            await this.audio.setInstrument(source, id);
+        } catch (err) {
+            console.error('Instrument load failed', err);
+            this.ui.showNotification(`Could not load ${instrument.name}`);
+            this.ui.updateInstrumentSelects(this.audio.getInstrumentList(), this.audio.sourceInstruments);
+            return;
+        }
+
+        if (persist) {
+            localStorage.setItem('pianoAppInstruments', JSON.stringify(this.audio.sourceInstruments));
+        }
+    }
+
+    // Chords, the note track, the arrangement and the song-level settings are undone together
+    getUndoState() {
+        return JSON.parse(JSON.stringify({
+            chords: this.chords, notes: this.notes, sections: this.sections, arrangement: this.arrangement, key: this.key,
+            bpm: this.bpm, timeSignature: this.timeSignature, rhythm: this.rhythm, voiceLeading: this.voiceLeading
+        }));
+    }
+
+    restoreUndoState(state) {
+        this.chords = state.chords;
+        this.notes = state.notes;
+        this.sections = state.sections;
+        this.arrangement = state.arrangement;
+        this.key = state.key;
+        this.bpm = state.bpm;
+        this.timeSignature = state.timeSignature;
+        this.updateTransportTempo();
+        this.rhythm = state.rhythm;
+        this.voiceLeading = state.voiceLeading;
+        this.ui.updateRhythmControls(this.rhythm);
+        this.ui.updateVoiceLeadingControls(this.voiceLeading);
+        document.getElementById('song-key').value = this.key ? `${this.key.tonic}:${this.key.mode}` : 'auto';
+        document.getElementById('bpm').value = this.bpm;
+        this.ui.updateTimeSignatureSelect(this.timeSignature);
+        this.ui.updateDurationOptions(this.timeSignature.numerator);
+        this.ui.refreshTimeline(this.chords);
+        this.ui.renderNoteTrack(this.notes);
+    }
+
+    saveState() {
+        const state = this.getUndoState();
+        this.undoStack.push(state);
+        // Limit stack size
+        if (this.undoStack.length > 50) this.undoStack.shift();
+        // Clear redo stack on new action
+        this.clearedRedoStack = this.redoStack;
+        this.redoStack = [];
+        this.markDirty();
+    }
+
+    // Drops the latest undo step when its action has been taken back, restoring the redo history it cleared
+    discardLastState() {
+        if (this.undoStack.length === 0) return;
+        this.undoStack.pop();
+        this.redoStack = this.clearedRedoStack;
+        this.clearedRedoStack = [];
+    }
+
+    // File name stem for exports, derived from the song name
+    getExportName() {
+        const name = this.currentSong ? this.currentSong.name : 'untitled';
+        return name.trim().replace(/[^\w\- ]+/g, '').replace(/\s+/g, '-').toLowerCase() || 'untitled';
+    }
+
+    exportProject() {
+        const name = this.currentSong ? this.currentSong.name : 'Untitled';
+        const json = ProjectFile.serialize(this.getSongData(), name);
+        this.ui.downloadFile(json, `${this.getExportName()}.pianostudio.json`, 'application/json');
+        this.ui.showNotification('Project Exported');
+    }
+
+    // Chord indices an export covers, in arrangement order like playback
+    getExportIndices(loopRangeOnly) {
+        return loopRangeOnly ? this.getTransportOrder() : this.getPlaybackOrder();
+    }
+
+    exportMidi({ loopRangeOnly = false } = {}) {
+        const indices = this.getExportIndices(loopRangeOnly);
+        if (indices.length === 0) return;
+
+        const ppq = 480;
+        const channel = 0;
+        // Chord beats are in units of the time signature's denominator, MIDI ticks in quarter notes
+        const ticksPerBeat = (ppq * 4) / this.timeSignature.denominator;
+
+        // Track 0 carries tempo, meter and chord name markers; track 1 the notes
+        const conductor = [
+            MidiFile.textEvent(0, 0x03, this.currentSong ? this.currentSong.name : 'Piano Studio'),
+            MidiFile.timeSignatureEvent(0, this.timeSignature.numerator, this.timeSignature.denominator)
+        ];
+        const notes = [MidiFile.textEvent(0, 0x03, 'Chords')];
+        const melody = [MidiFile.textEvent(0, 0x03, 'Melody')];
+
+        let tick = 0;
+        let tempo = null;
+        const tempoPoints = this.getTempoPoints();
+        indices.forEach(index => {
+            const chord = this.chords[index];
+            const length = (chord.duration || 4) * ticksPerBeat;
+            const offset = this.getBeatOffset(index);
+
+            // A tempo event wherever the tempo map changes; fermatas become a slower tempo so notes keep their length
+            for (let beat = 0; beat < (chord.duration || 4); beat++) {
+                const bpm = ((60 / this.getSecondsPerBeat(index, offset + beat, tempoPoints)) * 4) / this.timeSignature.denominator;
+                if (tempo === null || Math.abs(bpm - tempo) > 0.01) {
+                    conductor.push(MidiFile.tempoEvent(tick + beat * ticksPerBeat, bpm));
+                    tempo = bpm;
+                }
+            }
+
+            // Melody notes belong to the chord they start under, so they repeat with it
+            this.getTrackNotes(offset, offset + (chord.duration || 4)).forEach(n => {
+                const start = tick + Math.round((n.start - offset) * ticksPerBeat);
+                melody.push({ tick: start, data: [0x90 | channel, n.note, n.velocity] });
+                melody.push({ tick: start + Math.max(1, Math.round(n.length * ticksPerBeat)), data: [0x80 | channel, n.note, 0] });
+            });
+
+            if (chord.type !== 'rest') {
+                conductor.push(MidiFile.textEvent(tick, 0x06, chord.name));
+                this.getChordEvents(index, tempoPoints).forEach(event => {
+                    const start = tick + Math.round(event.start * ticksPerBeat);
+                    notes.push({ tick: start, data: [0x90 | channel, event.note, event.velocity] });
+                    notes.push({ tick: start + Math.round(event.length * ticksPerBeat), data: [0x80 | channel, event.note, 0] });
+                });
+            }
+            tick += length;
+        });
+
+        const tracks = melody.length > 1 ? [conductor, notes, melody] : [conductor, notes];
+        const bytes = MidiFile.write(tracks, ppq);
+        const suffix = loopRangeOnly ? '-loop' : '';
+        this.ui.downloadFile(bytes, `${this.getExportName()}${suffix}.mid`, 'audio/midi');
+        this.ui.showNotification('MIDI Exported');
+    }
+
+    // Recorded notes starting from `fromBeat` up to (not including) `toBeat`
+    getTrackNotes(fromBeat, toBeat) {
+        return this.notes.filter(n => n.start >= fromBeat && n.start < toBeat);
+    }
+
+    async renderWav({ loopRangeOnly = false, includeMetronome = false, repetitions = 1, float = false } = {}) {
+        const indices = this.getExportIndices(loopRangeOnly);
+        if (indices.length === 0) return;
+
+        const sampleRate = 44100;
+        const tempoPoints = this.getTempoPoints();
+        const timings = new Map(indices.map(index => [index, this.getChordTiming(index, tempoPoints)]));
+        const passSeconds = indices.reduce((sum, index) => sum + timings.get(index).length, 0);
+        const tail = this.audio.getEnvelope(this.audio.getInstrument('playback').id).release + 0.5; // Let the last voice fade
+        const length = passSeconds * repetitions + tail;
+
+        const ctx = new OfflineAudioContext(2, Math.ceil(length * sampleRate), sampleRate);
+        const pianoGain = ctx.createGain();
+        pianoGain.gain.value = this.audio.masterGain.gain.value;
+        pianoGain.connect(ctx.destination);
+        const metronomeGain = ctx.createGain();
+        metronomeGain.gain.value = this.audio.metronomeGain.gain.value;
+        metronomeGain.connect(ctx.destination);
+
+        // Same timing as playback: held pattern notes end when the next chord starts
+        let time = 0;
+        for (let pass = 0; pass < repetitions; pass++) {
+            indices.forEach(index => {
+                const chord = this.chords[index];
+                const duration = chord.duration || 4;
+                const offset = this.getBeatOffset(index);
+                const { beatSeconds, toSeconds, length: chordSeconds } = timings.get(index);
+
+                // Melody notes are timed at the tempo where they start, as in playback
+                this.getTrackNotes(offset, offset + duration).forEach(n => {
+                    const start = time + toSeconds(n.start - offset);
+                    const voice = this.audio.createVoice(ctx, pianoGain, n.note, n.velocity, start, 'playback');
+                    voice.release(start + n.length * beatSeconds[Math.floor(n.start - offset)]);
+                });
+
+                if (includeMetronome) {
+                    for (let beat = 0; beat < duration; beat++) {
+                        if (chord.fermata && beat > 0) break;
+                        const beatInBar = (offset + beat) % this.timeSignature.numerator;
+                        this.getMetronomeClicks(beatInBar, time + toSeconds(beat), beatSeconds[beat]).forEach(click => {
+                            this.audio.createClick(ctx, metronomeGain, click.time, click.accent);
+                        });
+                    }
+                }
+
+                this.getChordEvents(index, tempoPoints).forEach(event => {
+                    const voice = this.audio.createVoice(ctx, pianoGain, event.note, event.velocity, time + toSeconds(event.start), 'playback');
+                    voice.release(time + toSeconds(event.start + event.length));
+                });
+                time += chordSeconds;
+            });
+        }
+
+        this.ui.showNotification('Rendering audio...');
+        let rendered;
+        try {
+            rendered = await ctx.startRendering();
+        } catch (err) {
+            console.error('WAV render failed', err);
+            this.ui.showNotification('Rendering failed');
+            return;
+        }
+
+        const suffix = loopRangeOnly ? '-loop' : '';
+        this.ui.downloadFile(WavFile.encode(rendered, { float }), `${this.getExportName()}${suffix}.wav`, 'audio/wav');
+        this.ui.showNotification('WAV Rendered');
+    }
+
+    async importProject(file) {
+        let project;
+        try {
+            project = ProjectFile.parse(await file.text());
+        } catch (err) {
+            console.error('Project import failed', err);
+            alert(`Could not import "${file.name}".\n\n${err.message}`);
+            return false;
+        }
+
+        this.loadSongData(project.song);
+        // Imported songs are not in the library until saved
+        this.currentSong = { id: null, name: project.name || file.name.replace(/\..*$/, '') };
+        this.markDirty();
+        this.ui.showNotification('Project Imported');
+        return true;
+    }
+
+    markDirty() {
+        this.isDirty = true;
+        this.ui.updateSongTitle(this.currentSong ? this.currentSong.name : 'Untitled', true);
+    }
+
+    markClean() {
+        this.isDirty = false;
+        this.ui.updateSongTitle(this.currentSong ? this.currentSong.name : 'Untitled', false);
+    }
+
+    // Everything that belongs to a song (as opposed to user settings)
+    getSongData() {
+        return {
+            chords: JSON.parse(JSON.stringify(this.chords)),
+            notes: JSON.parse(JSON.stringify(this.notes)),
+            sections: JSON.parse(JSON.stringify(this.sections)),
+            arrangement: [...this.arrangement],
+            bpm: this.bpm,
+            playRange: { ...this.playRange },
+            loopEnabled: this.loopEnabled,
+            metronomeEnabled: this.metronomeEnabled,
+            timeSignature: { ...this.timeSignature },
+            metronomeSubdivision: this.metronomeSubdivision,
+            countInBars: this.countInBars,
+            rhythm: { ...this.rhythm },
+            key: this.key ? { ...this.key } : null,
+            voiceLeading: { ...this.voiceLeading }
+        };
+    }
+
+    // Replaces the open song; pass null for an empty song
+    loadSongData(data) {
+        this.stop();
+        const song = data || {};
+
+        this.chords = JSON.parse(JSON.stringify(song.chords || []));
+        this.notes = JSON.parse(JSON.stringify(song.notes || []));
+        this.sections = JSON.parse(JSON.stringify(song.sections || []));
+        this.arrangement = [...(song.arrangement || [])];
+        this.bpm = song.bpm || 120;
+        this.playRange = song.playRange ? { ...song.playRange } : { start: 0, end: Math.max(0, this.chords.length - 1) };
+        this.loopEnabled = !!song.loopEnabled;
+        this.metronomeEnabled = !!song.metronomeEnabled;
+        this.timeSignature = song.timeSignature ? { ...song.timeSignature } : { numerator: 4, denominator: 4 };
+        this.metronomeSubdivision = song.metronomeSubdivision || 1;
+        this.countInBars = song.countInBars || 0;
+        this.rhythm = { ...RhythmPattern.DEFAULTS, ...song.rhythm };
+        this.key = song.key ? { ...song.key } : null;
+        this.voiceLeading = { ...App.VOICE_LEADING_DEFAULTS, ...song.voiceLeading };
+        // Names are rebuilt rather than trusted, since imported files can contain anything
+        this.respellChords();
+
+        this.currentChordIndex = 0;
+        this.selectedChordIndices.clear();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.clearedRedoStack = [];
+
+        document.getElementById('bpm').value = this.bpm;
+        document.getElementById('loop-toggle').checked = this.loopEnabled;
+        document.getElementById('metronome-toggle').checked = this.metronomeEnabled;
+        this.ui.updateTimeSignatureSelect(this.timeSignature);
+        document.getElementById('metronome-subdivision').value = this.metronomeSubdivision;
+        document.getElementById('count-in').value = this.countInBars;
+        this.ui.updateRhythmControls(this.rhythm);
+        document.getElementById('song-key').value = this.key ? `${this.key.tonic}:${this.key.mode}` : 'auto';
+        this.ui.updateVoiceLeadingControls(this.voiceLeading);
+        this.ui.updateDurationOptions(this.timeSignature.numerator);
 
-        const prevState = this.undoStack.pop();
-        this.chords = prevState;
         this.ui.refreshTimeline(this.chords);
+        this.ui.renderNoteTrack(this.notes);
+        this.updateRangeInputs();
+        this.ui.setPlaybackPosition(this.currentChordIndex);
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+
+        // Save current state to redo stack
+        this.redoStack.push(this.getUndoState());
+        this.restoreUndoState(this.undoStack.pop());
 
         // Update range if needed
         if (this.playRange.end >= this.chords.length) {
             this.playRange.end = Math.max(0, this.chords.length - 1);
             this.updateRangeInputs();
         }
+        this.markDirty();
         this.ui.showNotification("Undo");
     }
 
@@ -1124,168 +5799,614 @@ class App {
         if (this.redoStack.length === 0) return;
 
         // Save current state to undo stack
-        this.undoStack.push(JSON.parse(JSON.stringify(this.chords)));
+        this.undoStack.push(this.getUndoState());
+        this.restoreUndoState(this.redoStack.pop());
+
+        // Update range if needed
+        if (this.playRange.end >= this.chords.length) {
+            this.playRange.end = Math.max(0, this.chords.length - 1);
+            this.updateRangeInputs();
+        }
+        this.markDirty();
+        this.ui.showNotification("Redo");
+    }
+
+    updateRangeInputs() {
+        const rangeStart = document.getElementById('range-start');
+        const rangeEnd = document.getElementById('range-end');
+        if (rangeStart) rangeStart.value = this.playRange.start + 1;
+        if (rangeEnd) rangeEnd.value = this.playRange.end + 1;
+    }
+
+    playNote(note) {
+        this.audio.playNote(note);
+        this.ui.highlightKey(note, true, 'manual');
+        if (this.recorder.active) this.recorder.onNoteEvent(note, 127, true);
+    }
+
+    stopNote(note) {
+        this.audio.stopNote(note);
+        this.ui.highlightKey(note, false, 'manual');
+        if (this.recorder.active) this.recorder.onNoteEvent(note, 0, false);
+    }
+
+    // type overrides the Quality select (used by the diatonic palette)
+    addChord(root, type = null) {
+        this.saveState();
+
+        const qualitySelect = document.getElementById('chord-quality');
+        const bassSelect = document.getElementById('chord-bass');
+        const durationInput = document.querySelector('input[name="duration"]:checked');
+
+        const quality = type || (qualitySelect ? qualitySelect.value : 'major');
+        const bass = bassSelect && bassSelect.value ? bassSelect.value : null;
+        const duration = durationInput ? parseInt(durationInput.value) : 4;
+
+        const chord = root === 'Rest'
+            ? { root, type: 'rest', name: 'Rest', inversion: 0, duration }
+            : { root, type: quality, name: this.getChordName(root, quality, bass), inversion: 0, duration, ...(bass ? { bass } : {}) };
+
+        this.insertChordAtPlayhead(chord);
+    }
+
+    // Inserts at the playhead and moves the playhead past the new chord
+    insertChordAtPlayhead(chord) {
+        this.chords.splice(this.currentChordIndex, 0, chord);
+        this.currentChordIndex++;
+
+        this.ui.refreshTimeline(this.chords);
+        this.ui.showNotification("Chord Added");
+
+        this.playRange.end = this.chords.length - 1;
+        this.updateRangeInputs();
+    }
+
+    removeChord(index) {
+        this.saveState();
+        this.chords.splice(index, 1);
+        this.ui.refreshTimeline(this.chords);
+        if (this.playRange.end >= this.chords.length) {
+            this.playRange.end = Math.max(0, this.chords.length - 1);
+            this.updateRangeInputs();
+        }
+    }
+
+    reorderChords(newIndices) {
+        this.saveState();
+        const newChords = newIndices.map(i => this.chords[i]);
+        this.chords = newChords;
+        this.ui.refreshTimeline(this.chords);
+    }
+
+    toggleInversion(index) {
+        const chord = this.chords[index];
+        if (chord.type === 'rest') return;
+
+        this.saveState();
+        this.ui.clearManualHighlights();
+
+        chord.inversion = (chord.inversion + 1) % (CHORD_TYPES.get(chord.type).maxInversion + 1);
+        this.ui.refreshTimeline(this.chords);
+    }
+
+    // The chosen key, or the one the chords suggest
+    getSongKey() {
+        return this.key || KeyAnalysis.estimate(this.chords);
+    }
+
+    // Every inversion/octave placement of a chord that fits on the keyboard
+    getVoicingCandidates(chord) {
+        const candidates = [];
+        for (let inversion = 0; inversion <= CHORD_TYPES.get(chord.type).maxInversion; inversion++) {
+            for (let octave = -1; octave <= 1; octave++) {
+                const notes = this.getChordNotes(chord.root, chord.type, inversion, chord.bass, octave);
+                if (notes[0] >= 36 && notes[notes.length - 1] <= 96) candidates.push({ inversion, octave, notes });
+            }
+        }
+        return candidates;
+    }
+
+    // Picks the placement that moves least from `previous` (null for a first chord), honouring the voice leading range
+    chooseVoicing(chord, previous) {
+        const { constraint, low, high } = this.voiceLeading;
+        let candidates = this.getVoicingCandidates(chord);
+
+        if (constraint !== 'none') {
+            const inRange = candidates.filter(c => {
+                const note = constraint === 'top' ? c.notes[c.notes.length - 1] : c.notes[0];
+                return note >= low && note <= high;
+            });
+            if (inRange.length > 0) candidates = inRange;
+        }
+
+        // Each note's distance to the nearest note of the other chord, both ways,
+        // plus a pull towards middle C so the progression doesn't drift
+        const nearest = (from, to) => from.reduce((sum, n) => sum + Math.min(...to.map(m => Math.abs(n - m))), 0);
+        const cost = (notes) => {
+            const centre = notes.reduce((a, b) => a + b) / notes.length;
+            const movement = previous ? nearest(notes, previous) + nearest(previous, notes) : 0;
+            return movement + Math.abs(centre - 64) * 0.25;
+        };
+        return candidates.reduce((best, c) => (cost(c.notes) < cost(best.notes) ? c : best));
+    }
+
+    // Notes to sound for a chord: as stored, or voice-led from the chords before it
+    getVoicedNotes(index) {
+        const chord = this.chords[index];
+        if (!chord || chord.type === 'rest') return [];
+        if (!this.voiceLeading.enabled) {
+            return this.getChordNotes(chord.root, chord.type, chord.inversion, chord.bass, chord.octave);
+        }
+
+        // The first chord is placed by the range and the pull to middle C alone; rests don't break the chain
+        let previous = null;
+        let notes = null;
+        for (let i = 0; i <= index; i++) {
+            const c = this.chords[i];
+            if (c.type === 'rest') continue;
+            notes = this.chooseVoicing(c, previous).notes;
+            previous = notes;
+        }
+        return notes;
+    }
+
+    // Writes voice-led inversions and octaves into the selected chords as one undo step
+    applyVoiceLeading() {
+        const indices = Array.from(this.selectedChordIndices).sort((a, b) => a - b)
+            .filter(i => this.chords[i].type !== 'rest');
+        if (indices.length === 0) return;
+        this.saveState();
+
+        // Lead on from the last sounding chord before the selection
+        let previous = null;
+        for (let i = indices[0] - 1; i >= 0 && !previous; i--) {
+            const c = this.chords[i];
+            if (c.type !== 'rest') previous = this.getChordNotes(c.root, c.type, c.inversion, c.bass, c.octave);
+        }
+
+        indices.forEach(index => {
+            const chord = this.chords[index];
+            const voicing = this.chooseVoicing(chord, previous);
+            chord.inversion = voicing.inversion;
+            if (voicing.octave) chord.octave = voicing.octave;
+            else delete chord.octave;
+            previous = this.getChordNotes(chord.root, chord.type, chord.inversion, chord.bass, chord.octave);
+        });
+
+        this.ui.refreshTimeline(this.chords);
+        this.ui.showNotification(`Voice leading applied to ${indices.length} chords`);
+    }
+
+    // Note events for a chord with its own or the song's rhythm pattern applied
+    getChordEvents(index, tempoPoints = this.getTempoPoints()) {
+        const chord = this.chords[index];
+        if (!chord || chord.type === 'rest') return [];
+        const notes = this.getVoicedNotes(index);
+        const bpm = this.getTempoAt(this.getBeatOffset(index), tempoPoints);
+        return RhythmPattern.generate(chord.pattern || this.rhythm.pattern, notes, chord.duration || 4, { ...this.rhythm, bpm });
+    }
+
+    previewChord(index, show) {
+        const chord = this.chords[index];
+        if (!chord || chord.type === 'rest') return;
+
+        const notes = this.getVoicedNotes(index);
+        notes.forEach(note => {
+            this.ui.highlightKey(note, show, 'manual');
+        });
+    }
+
+    clearChords() {
+        this.saveState();
+        this.chords = [];
+        this.notes = [];
+        this.sections = [];
+        this.arrangement = [];
+        this.ui.clearTimeline();
+        this.arrangementView.render();
+        this.ui.renderNoteTrack(this.notes);
+        this.stop();
+        this.currentChordIndex = 0;
+        this.playRange = { start: 0, end: 0 };
+        this.updateRangeInputs();
+    }
+
+    getSection(id) {
+        return this.sections.find(section => section.id === id) || null;
+    }
+
+    getSectionIndices(id) {
+        const indices = [];
+        this.chords.forEach((chord, i) => {
+            if (chord.section === id) indices.push(i);
+        });
+        return indices;
+    }
+
+    // The run of chords around `index` that share its section
+    getSectionBounds(index) {
+        const id = this.chords[index] && this.chords[index].section;
+        let start = index;
+        let end = index;
+        if (!id) return { start, end };
+        while (start > 0 && this.chords[start - 1].section === id) start--;
+        while (end < this.chords.length - 1 && this.chords[end + 1].section === id) end++;
+        return { start, end };
+    }
+
+    // The custom arrangement, or the sections in timeline order
+    getArrangement() {
+        if (this.arrangement.length > 0) {
+            return this.arrangement.filter(id => this.getSection(id) && this.getSectionIndices(id).length > 0);
+        }
+        const ids = [];
+        this.chords.forEach(chord => {
+            if (chord.section && this.getSection(chord.section) && !ids.includes(chord.section)) ids.push(chord.section);
+        });
+        return ids;
+    }
+
+    // Chord indices in the order playback visits them. Sections repeat, playing
+    // chords marked with an ending only on that pass (the last ending also covers
+    // any later passes).
+    getPlaybackOrder() {
+        const order = [];
+        const playSection = (indices, section) => {
+            const repeat = section ? section.repeat : 1;
+            const lastEnding = Math.max(0, ...indices.map(i => this.chords[i].ending || 0));
+            for (let pass = 1; pass <= repeat; pass++) {
+                indices.forEach(i => {
+                    const ending = this.chords[i].ending;
+                    if (!ending || ending === Math.min(pass, lastEnding)) order.push(i);
+                });
+            }
+        };
+
+        if (this.arrangement.length > 0) {
+            this.getArrangement().forEach(id => playSection(this.getSectionIndices(id), this.getSection(id)));
+            return order;
+        }
+
+        // Timeline order, repeating each run of a section's chords in place
+        let i = 0;
+        while (i < this.chords.length) {
+            const { end } = this.getSectionBounds(i);
+            const indices = [];
+            for (let j = i; j <= end; j++) indices.push(j);
+            playSection(indices, this.getSection(this.chords[i].section));
+            i = end + 1;
+        }
+        return order;
+    }
+
+    // The playback order limited to the loop range
+    getTransportOrder() {
+        return this.getPlaybackOrder().filter(i => i >= this.playRange.start && i <= this.playRange.end);
+    }
+
+    // value: 'new' (prompts for a name), 'none', or a section id
+    setSelectedSection(value) {
+        if (this.selectedChordIndices.size === 0) return;
+        let id = value;
+
+        if (value === 'new') {
+            const name = prompt('Section name:', `Section ${this.sections.length + 1}`);
+            if (!name || !name.trim()) return;
+            this.saveState();
+            id = `section-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+            this.sections.push({ id, name: name.trim(), color: App.SECTION_COLORS[this.sections.length % App.SECTION_COLORS.length], repeat: 1 });
+            if (this.arrangement.length > 0) this.arrangement.push(id);
+        } else {
+            this.saveState();
+        }
+
+        this.selectedChordIndices.forEach(index => {
+            if (id === 'none') delete this.chords[index].section;
+            else this.chords[index].section = id;
+        });
+
+        // Drop sections that no longer have chords
+        this.sections = this.sections.filter(section => this.getSectionIndices(section.id).length > 0);
+        this.arrangement = this.arrangement.filter(sectionId => this.getSection(sectionId));
+        this.ui.refreshTimeline(this.chords);
+    }
+
+    // value: 'none' or the pass number the chords play on
+    setSelectedEnding(value) {
+        if (this.selectedChordIndices.size === 0) return;
+        this.saveState();
+        this.selectedChordIndices.forEach(index => {
+            if (value === 'none') delete this.chords[index].ending;
+            else this.chords[index].ending = parseInt(value);
+        });
+        this.ui.refreshTimeline(this.chords);
+    }
 
-        const nextState = this.redoStack.pop();
-        this.chords = nextState;
+    updateSection(id, changes) {
+        const section = this.getSection(id);
+        if (!section) return;
+        this.saveState();
+        Object.assign(section, changes);
         this.ui.refreshTimeline(this.chords);
+    }
 
-        // Update range if needed
-        if (this.playRange.end >= this.chords.length) {
-            this.playRange.end = Math.max(0, this.chords.length - 1);
-            this.updateRangeInputs();
-        }
-        this.ui.showNotification("Redo");
+    renameSection(id) {
+        const section = this.getSection(id);
+        if (!section) return;
+        const name = prompt('Section name:', section.name);
+        if (name && name.trim()) this.updateSection(id, { name: name.trim() });
     }
 
-    updateRangeInputs() {
-        const rangeStart = document.getElementById('range-start');
-        const rangeEnd = document.getElementById('range-end');
-        if (rangeStart) rangeStart.value = this.playRange.start + 1;
-        if (rangeEnd) rangeEnd.value = this.playRange.end + 1;
+    setArrangement(ids) {
+        this.saveState();
+        this.arrangement = ids;
+        this.ui.refreshTimeline(this.chords);
     }
 
-    playNote(note) {
-        this.audio.playNote(note);
-        this.ui.highlightKey(note, true, 'manual');
+    // Sets the loop range to the section's chords and turns looping on
+    loopSection(id) {
+        const indices = this.getSectionIndices(id);
+        if (indices.length === 0) return;
+        this.playRange = { start: indices[0], end: indices[indices.length - 1] };
+        this.loopEnabled = true;
+        document.getElementById('loop-toggle').checked = true;
+        this.updateRangeInputs();
+        this.ui.updateMarkerPositions();
+        this.markDirty();
+        this.ui.showNotification(`Looping ${this.getSection(id).name}`);
     }
 
-    stopNote(note) {
-        this.audio.stopNote(note);
-        this.ui.highlightKey(note, false, 'manual');
+    quantizeNotes(options) {
+        if (this.notes.length === 0) return;
+        this.saveState();
+        this.notes = PerformanceRecorder.quantize(this.notes, options).sort((a, b) => a.start - b.start || a.note - b.note);
+        this.ui.renderNoteTrack(this.notes);
+        this.ui.showNotification('Notes quantized');
     }
 
-    addChord(root, type) {
+    clearNotes() {
+        if (this.notes.length === 0) return;
         this.saveState();
+        this.notes = [];
+        this.ui.renderNoteTrack(this.notes);
+        this.ui.showNotification('Recorded notes cleared');
+    }
 
-        const qualitySelect = document.getElementById('chord-quality');
-        const durationInput = document.querySelector('input[name="duration"]:checked');
+    // bass: optional note name sounded below the voicing (slash chords)
+    // octave: whole-octave shift of the voicing, set by voice leading
+    getChordNotes(root, type, inversion = 0, bass = null, octave = 0) {
+        if (type === 'rest') return [];
 
-        const quality = qualitySelect ? qualitySelect.value : 'major';
-        const duration = durationInput ? parseInt(durationInput.value) : 4;
+        const rootIndex = NOTE_NAMES.indexOf(root);
+        const baseOctave = 4 + octave;
+        const intervals = (CHORD_TYPES.get(type) || CHORD_TYPES.get('major')).intervals;
 
-        let chordName;
-        let chordType = quality;
+        let chordNotes = intervals.map(interval => (baseOctave + 1) * 12 + rootIndex + interval);
 
-        if (root === 'Rest') {
-            chordName = 'Rest';
-            chordType = 'rest';
-        } else {
-            let suffix = '';
-            switch (quality) {
-                case 'major': suffix = ''; break;
-                case 'minor': suffix = 'm'; break;
-                case '7': suffix = '7'; break;
-                case 'maj7': suffix = 'maj7'; break;
-                case 'm7': suffix = 'm7'; break;
-            }
-            chordName = `${root}${suffix}`;
+        // Each inversion moves the lowest note up an octave
+        for (let i = 0; i < inversion; i++) {
+            chordNotes[0] += 12;
+            chordNotes.sort((a, b) => a - b);
         }
 
-        const chord = {
-            root,
-            type: chordType,
-            name: chordName,
-            inversion: 0,
-            duration: duration
-        };
-
-        // Insert at current playhead position
-        this.chords.splice(this.currentChordIndex, 0, chord);
-        this.currentChordIndex++;
+        if (bass) {
+            let bassNote = baseOctave * 12 + NOTE_NAMES.indexOf(bass);
+            while (bassNote >= chordNotes[0]) bassNote -= 12;
+            chordNotes = [bassNote, ...chordNotes];
+        }
 
-        this.ui.refreshTimeline(this.chords);
-        this.ui.showNotification("Chord Added");
+        return chordNotes;
+    }
 
-        this.playRange.end = this.chords.length - 1;
-        this.updateRangeInputs();
+    // Spelled for `key` (the song's key, or the estimated one, by default), so Bb rather than A# in F major
+    getChordName(root, type, bass = null, key = this.getSongKey()) {
+        if (type === 'rest') return 'Rest';
+        const suffix = CHORD_TYPES.has(type) ? CHORD_TYPES.get(type).suffix : '';
+        const name = `${KeyAnalysis.spell(root, key)}${suffix}`;
+        return bass ? `${name}/${KeyAnalysis.spell(bass, key)}` : name;
     }
 
-    removeChord(index) {
-        this.saveState();
-        this.chords.splice(index, 1);
-        this.ui.refreshTimeline(this.chords);
-        if (this.playRange.end >= this.chords.length) {
-            this.playRange.end = Math.max(0, this.chords.length - 1);
-            this.updateRangeInputs();
-        }
+    // Rewrites every chord name after the key (and so the spelling) changes
+    respellChords(indices = this.chords.map((_, i) => i)) {
+        const key = this.getSongKey();
+        indices.forEach(index => {
+            const chord = this.chords[index];
+            if (chord.type !== 'rest') chord.name = this.getChordName(chord.root, chord.type, chord.bass, key);
+        });
     }
 
-    reorderChords(newIndices) {
+    // Transposes the selection, or the whole song (and its key) when nothing is selected.
+    // A `key` passed in becomes the song key after the undo snapshot is taken.
+    transpose(semitones, key = null) {
+        if (this.chords.length === 0 || semitones % 12 === 0) return;
         this.saveState();
-        const newChords = newIndices.map(i => this.chords[i]);
-        this.chords = newChords;
-        this.ui.refreshTimeline(this.chords);
-    }
+        if (key) this.key = key;
 
-    toggleInversion(index) {
-        const chord = this.chords[index];
-        if (chord.type === 'rest') return;
+        const wholeSong = this.selectedChordIndices.size === 0;
+        const indices = wholeSong ? this.chords.map((_, i) => i) : Array.from(this.selectedChordIndices);
+        if (wholeSong && this.key) {
+            this.key = { ...this.key, tonic: KeyAnalysis.transposeNote(this.key.tonic, semitones) };
+            document.getElementById('song-key').value = `${this.key.tonic}:${this.key.mode}`;
+        }
 
-        this.saveState();
-        this.ui.clearManualHighlights();
+        indices.forEach(index => {
+            const chord = this.chords[index];
+            if (chord.type === 'rest') return;
+            chord.root = KeyAnalysis.transposeNote(chord.root, semitones);
+            if (chord.bass) chord.bass = KeyAnalysis.transposeNote(chord.bass, semitones);
+        });
+        // Spelled once every root has moved, so an estimated key reflects the result
+        this.respellChords(indices);
+        if (wholeSong) {
+            this.notes.forEach(note => {
+                note.note = Math.max(0, Math.min(127, note.note + semitones));
+            });
+        }
 
-        chord.inversion = (chord.inversion + 1) % 3;
         this.ui.refreshTimeline(this.chords);
+        const steps = semitones > 0 ? `up ${semitones}` : `down ${-semitones}`;
+        this.ui.showNotification(`Transposed ${wholeSong ? 'song' : 'selection'} ${steps}`);
     }
 
-    previewChord(index, show) {
-        const chord = this.chords[index];
-        if (!chord || chord.type === 'rest') return;
+    // Moves the song (or selection) from its current key to `tonic`, by the shortest interval
+    transposeToKey(tonic) {
+        const current = this.getSongKey();
+        if (!current) return;
+        const distance = (NOTE_NAMES.indexOf(tonic) - NOTE_NAMES.indexOf(current.tonic) + 12) % 12;
+        const semitones = distance > 6 ? distance - 12 : distance;
 
-        const notes = this.getChordNotes(chord.root, chord.type, chord.inversion);
-        notes.forEach(note => {
-            this.ui.highlightKey(note, show, 'manual');
+        // Without an explicit key the estimate becomes the key, so the result is spelled for it
+        this.transpose(semitones, !this.key && this.selectedChordIndices.size === 0 ? current : null);
+    }
+
+    // Ranks every root/quality against a set of MIDI notes, best first.
+    // Each candidate is { root, type, inversion, missing, extra, exact }.
+    matchChords(noteNumbers) {
+        if (noteNumbers.length === 0) return [];
+
+        const pitchClasses = new Set(noteNumbers.map(n => n % 12));
+        const bass = Math.min(...noteNumbers) % 12;
+        const candidates = [];
+
+        NOTE_NAMES.forEach((root, rootIndex) => {
+            CHORD_TYPES.forEach((definition, type) => {
+                const intervals = definition.intervals;
+                const tones = intervals.map(i => (rootIndex + i) % 12);
+
+                const missingTones = tones.filter(pc => !pitchClasses.has(pc));
+                // A bass note outside the chord makes it a slash chord rather than an extra tone
+                const slashBass = !tones.includes(bass) && pitchClasses.size > 1;
+                const extra = [...pitchClasses].filter(pc => !tones.includes(pc) && !(slashBass && pc === bass)).length;
+                // A chord of four or more tones with only its fifth left out is still that chord
+                const omittedFifth = intervals.length >= 4 && missingTones.length === 1 && intervals[tones.indexOf(missingTones[0])] === 7;
+
+                const bassPosition = tones.indexOf(bass);
+                const inversion = bassPosition > 0 && bassPosition <= definition.maxInversion ? bassPosition : 0;
+
+                candidates.push({
+                    root,
+                    type,
+                    inversion,
+                    bass: slashBass ? NOTE_NAMES[bass] : null,
+                    missing: missingTones.length,
+                    extra,
+                    exact: extra === 0 && (missingTones.length === 0 || omittedFifth),
+                    score: (missingTones.length - (omittedFifth ? 0.5 : 0)) * 2 + extra * 2 + (bassPosition === 0 ? 0 : slashBass ? 0.5 : bassPosition < 0 ? 1 : 0.25)
+                });
+            });
         });
+
+        return candidates.sort((a, b) => a.score - b.score);
     }
 
-    clearChords() {
-        this.saveState();
-        this.chords = [];
-        this.ui.clearTimeline();
-        this.stop();
-        this.currentChordIndex = 0;
-        this.playRange = { start: 0, end: 0 };
-        this.updateRangeInputs();
+    // Returns { root, type, inversion } for an exact match, otherwise null
+    detectChord(noteNumbers) {
+        const best = this.matchChords(noteNumbers)[0];
+        if (!best || !best.exact) return null;
+        return { root: best.root, type: best.type, inversion: best.inversion, ...(best.bass ? { bass: best.bass } : {}) };
     }
 
-    getChordNotes(root, type, inversion = 0) {
-        if (type === 'rest') return [];
+    async importMidiFile(file) {
+        let midi;
+        try {
+            midi = MidiFile.parse(await file.arrayBuffer());
+        } catch (err) {
+            console.error('MIDI import failed', err);
+            alert(`Could not import "${file.name}".\n\n${err.message}`);
+            return;
+        }
 
-        const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const rootIndex = notes.indexOf(root);
-        const baseOctave = 4;
+        // Channel 10 is percussion and has no pitch
+        const notes = MidiFile.collectNotes(midi.tracks).filter(n => n.channel !== 9);
+        if (notes.length === 0) {
+            this.ui.showNotification('No notes found in MIDI file');
+            return;
+        }
 
-        let intervals = [];
-        switch (type) {
-            case 'major': intervals = [0, 4, 7]; break;
-            case 'minor': intervals = [0, 3, 7]; break;
-            case '7': intervals = [0, 4, 7, 10]; break;
-            case 'maj7': intervals = [0, 4, 7, 11]; break;
-            case 'm7': intervals = [0, 3, 7, 10]; break;
-            default: intervals = [0, 4, 7];
+        const fileTimeSignature = midi.tracks.flat().find(e => e.type === 'timeSignature' && e.tick === 0);
+        const beatsPerBar = fileTimeSignature ? fileTimeSignature.numerator : this.timeSignature.numerator;
+        const denominator = fileTimeSignature ? fileTimeSignature.denominator : this.timeSignature.denominator;
+        // PPQ counts quarter notes; a beat is one denominator note
+        const ticksPerBeat = (midi.ppq * 4) / denominator;
+        const minOverlap = ticksPerBeat / 4; // A note must sound for a quarter of the beat to count
+        const totalBeats = Math.ceil(Math.max(...notes.map(n => n.end)) / ticksPerBeat);
+
+        // One entry per beat: the detected chord, 'rest', or null if unmatched
+        const beats = [];
+        for (let beat = 0; beat < totalBeats; beat++) {
+            const start = beat * ticksPerBeat;
+            const end = start + ticksPerBeat;
+            const sounding = notes
+                .filter(n => Math.min(n.end, end) - Math.max(n.start, start) >= minOverlap)
+                .map(n => n.note);
+
+            if (sounding.length === 0) {
+                beats.push({ key: 'rest' });
+                continue;
+            }
+            const chord = this.detectChord(sounding);
+            if (chord) {
+                beats.push({ key: `${chord.root}:${chord.type}:${chord.inversion}:${chord.bass || ''}`, chord });
+            } else {
+                beats.push({ key: 'unmatched', notes: sounding });
+            }
         }
 
-        let chordNotes = intervals.map(interval => {
-            let noteIndex = rootIndex + interval;
-            let octave = baseOctave;
-            while (noteIndex >= 12) {
-                noteIndex -= 12;
-                octave++;
+        // Merge repeated beats into chords, without crossing bar lines
+        const imported = [];
+        const unmatched = [];
+        const key = this.getSongKey();
+        beats.forEach((beat, i) => {
+            const prev = imported[imported.length - 1];
+            if (prev && prev.key === beat.key && i % beatsPerBar !== 0) {
+                prev.chord.duration++;
+                return;
+            }
+
+            let chord;
+            if (beat.chord) {
+                chord = { ...beat.chord, name: this.getChordName(beat.chord.root, beat.chord.type, beat.chord.bass, key), duration: 1 };
+            } else {
+                chord = { root: 'Rest', type: 'rest', name: 'Rest', inversion: 0, duration: 1 };
+                if (beat.key === 'unmatched') unmatched.push(imported.length);
             }
-            return (octave + 1) * 12 + noteIndex;
+            imported.push({ key: beat.key, chord });
         });
+        if (unmatched.length > 0) {
+            const beatCount = beats.filter(beat => beat.key === 'unmatched').length;
+            console.warn(`MIDI import: ${beatCount} beats not recognised, imported as ${unmatched.length} rests`);
+        }
 
-        if (inversion > 0) {
-            chordNotes[0] += 12;
-            chordNotes.sort((a, b) => a - b);
-            if (inversion === 2) {
-                chordNotes[0] += 12;
-                chordNotes.sort((a, b) => a - b);
+        this.saveState();
+
+        const insertAt = this.currentChordIndex;
+        this.chords.splice(insertAt, 0, ...imported.map(item => item.chord));
+        this.currentChordIndex += imported.length;
+
+        // Adopt the file's tempo and meter when importing into an empty song
+        const tempo = midi.tracks.flat().find(e => e.type === 'tempo' && e.tick === 0);
+        if (this.chords.length === imported.length) {
+            if (tempo) {
+                this.bpm = Math.min(240, Math.max(40, Math.round((tempo.bpm * denominator) / 4)));
+                document.getElementById('bpm').value = this.bpm;
+            }
+            if (fileTimeSignature && ProjectFile.validate({ chords: [], timeSignature: fileTimeSignature }).length === 0) {
+                this.timeSignature = { numerator: fileTimeSignature.numerator, denominator: fileTimeSignature.denominator };
+                this.ui.updateTimeSignatureSelect(this.timeSignature);
+                this.ui.updateDurationOptions(this.timeSignature.numerator);
             }
         }
 
-        return chordNotes;
+        // Flag unrecognised segments by selecting them
+        this.selectedChordIndices.clear();
+        unmatched.forEach(i => this.selectedChordIndices.add(insertAt + i));
+
+        this.ui.refreshTimeline(this.chords);
+        this.playRange.end = this.chords.length - 1;
+        this.updateRangeInputs();
+
+        const message = `Imported ${imported.length} chords`;
+        this.ui.showNotification(unmatched.length > 0 ? `${message} (${unmatched.length} unrecognised, selected)` : message);
     }
 
     togglePlay() {
@@ -1302,91 +6423,455 @@ class App {
         this.ui.setPlaybackPosition(this.currentChordIndex);
     }
 
-    playMetronomeTick() {
-        if (!this.metronomeEnabled) return;
-        const osc = this.audio.ctx.createOscillator();
-        const gain = this.audio.ctx.createGain();
-        osc.frequency.value = 1000;
-        osc.type = 'square';
-        gain.gain.value = 0.1;
+    // Beats from the start of the song to the start of a chord
+    getBeatOffset(index) {
+        let beats = 0;
+        for (let i = 0; i < index && i < this.chords.length; i++) {
+            beats += this.chords[i].duration || 4;
+        }
+        return beats;
+    }
 
-        osc.connect(gain);
-        gain.connect(this.audio.metronomeGain);
+    // Tempo changes in song order: the song BPM at beat 0, then each chord's tempo point
+    getTempoPoints() {
+        const points = [{ beat: 0, bpm: this.bpm, ramp: false }];
+        let beat = 0;
+        this.chords.forEach(chord => {
+            if (chord.tempo) points.push({ beat, bpm: chord.tempo.bpm, ramp: !!chord.tempo.ramp });
+            beat += chord.duration || 4;
+        });
+        return points;
+    }
+
+    // BPM at a song position in beats. A tempo point holds until the next one,
+    // unless the next one is a ramp, which the tempo glides into.
+    getTempoAt(beat, points = this.getTempoPoints()) {
+        let i = 0;
+        while (i + 1 < points.length && points[i + 1].beat <= beat) i++;
+        const from = points[i];
+        const to = points[i + 1];
+        if (to && to.ramp && to.beat > from.beat) {
+            return from.bpm + ((to.bpm - from.bpm) * (beat - from.beat)) / (to.beat - from.beat);
+        }
+        return from.bpm;
+    }
 
-        osc.start();
-        osc.stop(this.audio.ctx.currentTime + 0.05);
+    // Seconds for the beat of chord `index` at song position `beat`, fermata included.
+    // Callers timing many beats pass the tempo points in, rather than rebuilding them per beat.
+    getSecondsPerBeat(index, beat, tempoPoints = this.getTempoPoints()) {
+        const chord = this.chords[index];
+        const stretch = chord && chord.fermata ? App.FERMATA_STRETCH : 1;
+        return (60 / this.getTempoAt(beat, tempoPoints)) * stretch;
+    }
+
+    // Beat lengths of a chord, and the seconds from its start to a beat position within it
+    getChordTiming(index, tempoPoints = this.getTempoPoints()) {
+        const duration = this.chords[index].duration || 4;
+        const offset = this.getBeatOffset(index);
+        const beatSeconds = [];
+        for (let beat = 0; beat < duration; beat++) beatSeconds.push(this.getSecondsPerBeat(index, offset + beat, tempoPoints));
+
+        const toSeconds = (position) => {
+            let seconds = 0;
+            let beat = 0;
+            while (beat < duration - 1 && beat + 1 <= position) seconds += beatSeconds[beat++];
+            return seconds + (position - beat) * beatSeconds[beat];
+        };
+        return { beatSeconds, toSeconds, length: beatSeconds.reduce((a, b) => a + b, 0) };
+    }
+
+    // Lets a running transport pick up a tempo edit from its next beat
+    updateTransportTempo() {
+        if (this.transport) this.transport.tempoPoints = this.getTempoPoints();
+    }
+
+    // value: 'set' or 'ramp' (prompt for a BPM), 'clear', or 'fermata' (toggles)
+    editSelectedTempo(value) {
+        const indices = Array.from(this.selectedChordIndices).sort((a, b) => a - b);
+        if (indices.length === 0) return;
+        const first = indices[0];
+        const last = indices[indices.length - 1];
+        const current = Math.round(this.getTempoAt(this.getBeatOffset(value === 'ramp' ? last : first)));
+
+        if (value === 'set' || value === 'ramp') {
+            if (value === 'ramp' && first === last) {
+                alert('Select the chords to speed up or slow down over.');
+                return;
+            }
+            const input = prompt(value === 'ramp' ? 'Tempo to reach by the last selected chord (BPM):' : 'Tempo from this chord (BPM):', current);
+            if (input === null) return;
+            const bpm = parseFloat(input);
+            if (!(bpm >= 40 && bpm <= 240)) {
+                alert('Tempo must be between 40 and 240 BPM.');
+                return;
+            }
+
+            this.saveState();
+            if (value === 'set') {
+                this.chords[first].tempo = { bpm };
+            } else {
+                // The glide starts from the tempo in effect at the first chord
+                if (!this.chords[first].tempo) this.chords[first].tempo = { bpm: Math.round(this.getTempoAt(this.getBeatOffset(first))) };
+                this.chords[last].tempo = { bpm, ramp: true };
+            }
+        } else if (value === 'clear') {
+            this.saveState();
+            indices.forEach(index => delete this.chords[index].tempo);
+        } else if (value === 'fermata') {
+            this.saveState();
+            const enable = !this.chords[first].fermata;
+            indices.forEach(index => {
+                if (enable) this.chords[index].fermata = true;
+                else delete this.chords[index].fermata;
+            });
+        }
+        this.ui.refreshTimeline(this.chords);
+    }
+
+    // tempo: { bpm, ramp } or null to remove the point
+    setTempoPoint(index, tempo) {
+        this.saveState();
+        if (tempo) this.chords[index].tempo = tempo;
+        else delete this.chords[index].tempo;
+        this.ui.refreshTimeline(this.chords);
+    }
+
+    // Click level for a beat: 'downbeat', 'group' (compound meter pulse) or 'beat'
+    getBeatAccent(beatInBar) {
+        const { numerator, denominator } = this.timeSignature;
+        if (beatInBar === 0) return 'downbeat';
+        // 6/8, 9/8, 12/8 are felt in groups of three
+        const compound = denominator === 8 && numerator % 3 === 0 && numerator > 3;
+        if (compound && beatInBar % 3 === 0) return 'group';
+        return 'beat';
+    }
+
+    // Clicks for one beat starting at `time`: the beat itself plus subdivisions
+    getMetronomeClicks(beatInBar, time, secondsPerBeat) {
+        const clicks = [{ time, accent: this.getBeatAccent(beatInBar) }];
+        for (let i = 1; i < this.metronomeSubdivision; i++) {
+            clicks.push({ time: time + (i * secondsPerBeat) / this.metronomeSubdivision, accent: 'subdivision' });
+        }
+        return clicks;
+    }
+
+    playMetronomeTick(time, beatInBar, secondsPerBeat = 60 / this.bpm) {
+        if (!this.metronomeEnabled) return;
+        this.getMetronomeClicks(beatInBar, time, secondsPerBeat).forEach(click => {
+            this.audio.scheduleClick(click.time, click.accent);
+        });
     }
 
     play() {
         if (this.chords.length === 0) return;
+        if (this.practice.active) this.practice.finish();
         this.isPlaying = true;
         document.getElementById('play-btn').textContent = 'Pause';
 
+        if (this.audio.ctx.state === 'suspended') {
+            this.audio.ctx.resume();
+        }
+
         if (this.currentChordIndex < this.playRange.start || this.currentChordIndex > this.playRange.end) {
             this.currentChordIndex = this.playRange.start;
         }
 
-        this.playNext();
+        this.startTransport(this.currentChordIndex, this.countInBars * this.timeSignature.numerator);
     }
 
-    playNext() {
-        if (!this.isPlaying) return;
+    // Playback is scheduled on the AudioContext clock a short window ahead.
+    // The timer only decides when to schedule; it never decides when things sound.
+    startTransport(index, countInBeats = 0) {
+        const order = this.getTransportOrder();
+        const step = order.includes(index) ? order.indexOf(index) : Math.max(0, order.findIndex(i => i > index));
+        this.transport = {
+            order, // Chord indices in play order, following the arrangement
+            step,
+            chordIndex: index,
+            beatInChord: 0,
+            beatPosition: this.getBeatOffset(index), // Beats since the start of the song
+            countInBeats,
+            countInTotal: countInBeats,
+            nextBeatTime: this.audio.ctx.currentTime + 0.05,
+            sounding: [], // { note, voice } held until the next chord starts
+            events: [], // Pattern events of the current chord
+            beatMap: [], // { time, position, secondsPerBeat, countIn } for every scheduled beat
+            tempoPoints: this.getTempoPoints(), // Refreshed at each chord start and on tempo edits
+            finished: false
+        };
+        this.playbackQueue = [];
 
-        if (this.currentChordIndex > this.playRange.end || this.currentChordIndex >= this.chords.length) {
-            if (this.loopEnabled) {
-                this.currentChordIndex = this.playRange.start;
-            } else {
-                this.stop();
-                return;
-            }
+        if (!this.schedulerTimer) this.schedulerTimer = this.createSchedulerTimer();
+        this.schedulerTimer.start(() => this.schedulePlayback());
+        this.schedulePlayback();
+
+        cancelAnimationFrame(this.animationId);
+        this.animationId = requestAnimationFrame(() => this.updatePlaybackUI());
+    }
+
+    // Worker timers keep ticking in background tabs, unlike setInterval
+    createSchedulerTimer() {
+        const interval = 25;
+        let callback = null;
+
+        try {
+            const source = 'let id; onmessage = (e) => { clearInterval(id); if (e.data > 0) id = setInterval(() => postMessage(0), e.data); };';
+            const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+            worker.onmessage = () => callback && callback();
+            return {
+                start: (cb) => { callback = cb; worker.postMessage(interval); },
+                stop: () => { callback = null; worker.postMessage(0); }
+            };
+        } catch (err) {
+            console.warn('Scheduler worker unavailable, falling back to setInterval', err);
+            let id = null;
+            return {
+                start: (cb) => { clearInterval(id); id = setInterval(cb, interval); },
+                stop: () => clearInterval(id)
+            };
         }
+    }
 
-        this.ui.setPlaybackPosition(this.currentChordIndex);
+    schedulePlayback() {
+        const lookAhead = 0.1; // seconds
+        const transport = this.transport;
+        if (!transport) return;
 
-        const chord = this.chords[this.currentChordIndex];
-        const duration = chord.duration || 4;
-        const secondsPerBeat = 60 / this.bpm;
-        const secondsPerChord = secondsPerBeat * duration;
+        while (!transport.finished && transport.nextBeatTime < this.audio.ctx.currentTime + lookAhead) {
+            this.scheduleBeat(transport.nextBeatTime);
+        }
+    }
+
+    // Schedules one beat at `time`, starting a new chord on its first beat.
+    // Tempo is read per beat from the transport's tempo points, so BPM edits apply from the next unscheduled beat.
+    scheduleBeat(time) {
+        const transport = this.transport;
+        const numerator = this.timeSignature.numerator;
+
+        // Count-in: clicks only, always audible, starting on a downbeat
+        if (transport.countInBeats > 0) {
+            const beat = transport.countInTotal - transport.countInBeats;
+            // Counted in at the tempo playback starts with
+            const secondsPerBeat = 60 / this.getTempoAt(transport.beatPosition, transport.tempoPoints);
+            transport.beatMap.push({ time, position: transport.beatPosition - transport.countInBeats, secondsPerBeat, countIn: true });
+            this.getMetronomeClicks(beat % numerator, time, secondsPerBeat).forEach(click => {
+                this.audio.scheduleClick(click.time, click.accent);
+            });
+            this.queuePlaybackEvent({ time, type: 'count', beat: (beat % numerator) + 1 });
+            transport.countInBeats--;
+            transport.nextBeatTime += secondsPerBeat;
+            return;
+        }
 
-        if (this.metronomeEnabled) {
-            this.metronomeTimeouts = [];
-            for (let i = 0; i < duration; i++) {
-                const id = setTimeout(() => this.playMetronomeTick(), i * secondsPerBeat * 1000);
-                this.metronomeTimeouts.push(id);
+        if (transport.beatInChord === 0) {
+            if (transport.step >= transport.order.length || transport.order[transport.step] >= this.chords.length) {
+                // Chords or sections may have been edited since the last pass
+                transport.order = this.getTransportOrder();
+                if (this.loopEnabled && transport.order.length > 0) {
+                    transport.step = 0;
+                } else {
+                    this.releaseSounding(time);
+                    transport.finished = true;
+                    this.queuePlaybackEvent({ time, type: 'end' });
+                    return;
+                }
             }
+            transport.chordIndex = transport.order[transport.step];
+            transport.beatPosition = this.getBeatOffset(transport.chordIndex);
+            transport.tempoPoints = this.getTempoPoints();
+            this.playNext(time);
         }
 
-        if (chord.type !== 'rest') {
-            const notes = this.getChordNotes(chord.root, chord.type, chord.inversion);
-            notes.forEach(note => {
-                this.audio.playNote(note, 100);
-                this.ui.highlightKey(note, true, 'auto');
-                setTimeout(() => {
-                    this.audio.stopNote(note);
-                    this.ui.highlightKey(note, false, 'auto');
-                }, secondsPerChord * 1000 - 100);
+        const chord = this.chords[transport.chordIndex];
+        const secondsPerBeat = this.getSecondsPerBeat(transport.chordIndex, transport.beatPosition, transport.tempoPoints);
+        transport.beatMap.push({ time, position: transport.beatPosition, secondsPerBeat, countIn: false });
+        this.schedulePatternEvents(time, secondsPerBeat);
+        this.scheduleTrackNotes(time, transport.beatPosition, secondsPerBeat);
+        // A fermata is held without clicks after its first beat
+        if (!chord || !chord.fermata || transport.beatInChord === 0) {
+            this.playMetronomeTick(time, transport.beatPosition % numerator, secondsPerBeat);
+        }
+
+        transport.nextBeatTime += secondsPerBeat;
+        transport.beatPosition++;
+        transport.beatInChord++;
+        if (!chord || transport.beatInChord >= (chord.duration || 4)) {
+            transport.beatInChord = 0;
+            transport.step++;
+        }
+    }
+
+    // Starts the chord at transport.chordIndex at `time`; its notes are scheduled beat by beat
+    playNext(time) {
+        const index = this.transport.chordIndex;
+        const chord = this.chords[index];
+
+        // The previous chord holds until this one starts
+        this.releaseSounding(time);
+
+        this.transport.events = this.getChordEvents(index, this.transport.tempoPoints);
+        const notes = chord.type !== 'rest'
+            ? this.getVoicedNotes(index).map(note => note + this.liveTranspose)
+            : [];
+        this.queuePlaybackEvent({ time, type: 'chord', index, notes });
+    }
+
+    // Schedules the current chord's pattern events that fall within the beat starting at `time`
+    schedulePatternEvents(time, secondsPerBeat) {
+        const transport = this.transport;
+        const chord = this.chords[transport.chordIndex];
+        const duration = chord ? chord.duration || 4 : 0;
+        const beat = transport.beatInChord;
+
+        transport.events
+            .filter(event => event.start >= beat && event.start < beat + 1)
+            .forEach(event => {
+                const note = event.note + this.liveTranspose;
+                const start = time + (event.start - beat) * secondsPerBeat;
+                const voice = this.muteInternal ? null : this.audio.scheduleNote(note, event.velocity, start);
+                this.midi.sendNoteOn(note, event.velocity, this.audio.toPerformanceTime(start));
+
+                // Notes that last to the end of the chord hold until the next one starts
+                if (event.start + event.length >= duration) {
+                    transport.sounding.push({ note, voice });
+                } else {
+                    const end = time + (event.start + event.length - beat) * secondsPerBeat;
+                    if (voice) this.audio.releaseScheduled(voice, end);
+                    this.midi.sendNoteOff(note, this.audio.toPerformanceTime(end));
+                }
+            });
+    }
+
+    // Keeps the queue in time order; melody note-offs can be queued long before earlier events
+    queuePlaybackEvent(event) {
+        let i = this.playbackQueue.length;
+        while (i > 0 && this.playbackQueue[i - 1].time > event.time) i--;
+        this.playbackQueue.splice(i, 0, event);
+    }
+
+    // Schedules melody notes starting within the beat at song `position`
+    scheduleTrackNotes(time, position, secondsPerBeat) {
+        this.notes
+            .filter(n => n.start >= position && n.start < position + 1)
+            .forEach(n => {
+                const note = n.note + this.liveTranspose;
+                const start = time + (n.start - position) * secondsPerBeat;
+                const end = start + n.length * secondsPerBeat;
+                const voice = this.muteInternal ? null : this.audio.scheduleNote(note, n.velocity, start);
+                this.midi.sendNoteOn(note, n.velocity, this.audio.toPerformanceTime(start));
+                if (voice) this.audio.releaseScheduled(voice, end);
+                this.midi.sendNoteOff(note, this.audio.toPerformanceTime(end));
+                this.queuePlaybackEvent({ time: start, type: 'note', note, on: true });
+                this.queuePlaybackEvent({ time: end, type: 'note', note, on: false });
             });
+    }
+
+    // Melody keys use their own highlight; a chord tone on the same key shows again when the melody note ends
+    highlightMelodyNote(note, on) {
+        const count = (this.melodyNotes.get(note) || 0) + (on ? 1 : -1);
+        if (count > 0) {
+            this.melodyNotes.set(note, count);
+            this.ui.highlightKey(note, true, 'melody');
+        } else {
+            this.melodyNotes.delete(note);
+            this.ui.highlightKey(note, this.heldChordNotes.includes(note), 'auto');
         }
+    }
 
-        this.currentChordIndex++;
-        this.schedulerId = setTimeout(() => this.playNext(), secondsPerChord * 1000);
+    // Song position in beats at an AudioContext time, from the beats scheduled so far
+    getTransportBeat(time) {
+        const beatMap = this.transport ? this.transport.beatMap : [];
+        if (beatMap.length === 0) return null;
+
+        let beat = beatMap[0];
+        for (let i = beatMap.length - 1; i >= 0; i--) {
+            if (beatMap[i].time <= time) {
+                beat = beatMap[i];
+                break;
+            }
+        }
+        return { position: beat.position + (time - beat.time) / beat.secondsPerBeat, secondsPerBeat: beat.secondsPerBeat };
+    }
+
+    releaseSounding(time) {
+        this.transport.sounding.forEach(({ note, voice }) => {
+            if (voice) this.audio.releaseScheduled(voice, time);
+            this.midi.sendNoteOff(note, this.audio.toPerformanceTime(time));
+        });
+        this.transport.sounding = [];
+    }
+
+    // Applies queued playback events to the UI as the audio clock reaches them
+    updatePlaybackUI() {
+        if (!this.isPlaying) return;
+        const now = this.audio.ctx.currentTime;
+
+        while (this.playbackQueue.length > 0 && this.playbackQueue[0].time <= now) {
+            const event = this.playbackQueue.shift();
+            if (event.type === 'end') {
+                this.stop();
+                return;
+            }
+            if (event.type === 'count') {
+                document.getElementById('play-btn').textContent = `Count ${event.beat}`;
+                continue;
+            }
+            if (event.type === 'note') {
+                this.highlightMelodyNote(event.note, event.on);
+                continue;
+            }
+            document.getElementById('play-btn').textContent = 'Pause';
+
+            this.heldChordNotes.forEach(note => this.ui.highlightKey(note, false, 'auto'));
+            event.notes.forEach(note => this.ui.highlightKey(note, true, 'auto'));
+            this.heldChordNotes = event.notes;
+            this.melodyNotes.forEach((_, note) => this.ui.highlightKey(note, true, 'melody'));
+
+            this.currentChordIndex = event.index;
+            this.ui.setPlaybackPosition(event.index);
+        }
+
+        this.animationId = requestAnimationFrame(() => this.updatePlaybackUI());
     }
 
+    // Jumps playback to another chord without stopping the transport
+    seek(index) {
+        this.currentChordIndex = index;
+        this.ui.setPlaybackPosition(index);
+        if (!this.isPlaying) return;
+
+        this.cancelScheduledPlayback();
+        this.startTransport(index);
+    }
 
+    cancelScheduledPlayback() {
+        // A take needs the transport's beat map, so it ends before the transport does
+        if (this.recorder && this.recorder.active) this.recorder.finish();
+        if (this.schedulerTimer) this.schedulerTimer.stop();
+        cancelAnimationFrame(this.animationId);
+        this.audio.cancelScheduled();
+        this.midi.sendAllNotesOff();
+
+        this.heldChordNotes.forEach(note => this.ui.highlightKey(note, false, 'auto'));
+        this.heldChordNotes = [];
+        this.melodyNotes.forEach((_, note) => this.ui.highlightKey(note, false, 'melody'));
+        this.melodyNotes = new Map();
+        this.playbackQueue = [];
+        this.transport = null;
+    }
 
     stop() {
+        if (this.practice && this.practice.active) this.practice.finish();
         this.isPlaying = false;
         const playBtn = document.getElementById('play-btn');
         if (playBtn) playBtn.textContent = 'Play';
-        clearTimeout(this.schedulerId);
 
-        this.metronomeTimeouts.forEach(id => clearTimeout(id));
-        this.metronomeTimeouts = [];
+        this.cancelScheduledPlayback();
 
         document.querySelectorAll('.chord-item').forEach(el => el.classList.remove('playing'));
 
+        this.audio.stopAllNotes();
         for (let i = 0; i < 127; i++) {
-            this.audio.stopNote(i);
             this.ui.highlightKey(i, false, 'auto');
             this.ui.highlightKey(i, false, 'manual');
         }
@@ -1428,23 +6913,26 @@ class App {
         if (this.selectedChordIndices.size === 0) return;
         this.saveState();
 
+        const key = this.getSongKey();
         this.selectedChordIndices.forEach(index => {
             const chord = this.chords[index];
             if (chord.root === 'Rest') return;
 
             if (action === 'type') {
                 chord.type = value;
-                let name = chord.root;
-                if (value === 'minor') name += 'm';
-                else if (value === '7') name += '7';
-                else if (value === 'maj7') name += 'maj7';
-                else if (value === 'm7') name += 'm7';
-                chord.name = name;
+                chord.inversion = Math.min(chord.inversion, CHORD_TYPES.get(value).maxInversion);
             } else if (action === 'duration') {
                 chord.duration = parseInt(value);
             } else if (action === 'inversion') {
-                chord.inversion = parseInt(value);
+                chord.inversion = Math.min(parseInt(value), CHORD_TYPES.get(chord.type).maxInversion);
+            } else if (action === 'bass') {
+                if (value === 'none') delete chord.bass;
+                else chord.bass = value;
+            } else if (action === 'pattern') {
+                if (value === 'song') delete chord.pattern;
+                else chord.pattern = value;
             }
+            chord.name = this.getChordName(chord.root, chord.type, chord.bass, key);
         });
 
         this.ui.refreshTimeline(this.chords);
@@ -1464,6 +6952,49 @@ class App {
         this.deleteSelection();
     }
 
+    // Step entry: a chord played on the MIDI keyboard, inserted with the selected duration
+    stepEnterChord(notes) {
+        const detected = this.detectChord(notes);
+        if (detected) {
+            this.insertStepChord(detected);
+            return;
+        }
+        // A single stray key (in any octaves) isn't worth interrupting for
+        if (new Set(notes.map(n => n % 12)).size < 2) return;
+        this.chordPicker.show(notes, this.matchChords(notes).slice(0, 6));
+    }
+
+    insertStepChord({ root, type, inversion = 0, bass = null }) {
+        this.saveState();
+        const durationInput = document.querySelector('input[name="duration"]:checked');
+        this.insertChordAtPlayhead({
+            root,
+            type,
+            name: this.getChordName(root, type, bass),
+            inversion,
+            duration: durationInput ? parseInt(durationInput.value) : 4,
+            ...(bass ? { bass } : {})
+        });
+    }
+
+    // Inserts chords at the playhead as one undo step
+    insertChords(chords) {
+        this.saveState();
+
+        this.chords.splice(this.currentChordIndex, 0, ...chords);
+
+        this.selectedChordIndices.clear();
+        for (let i = 0; i < chords.length; i++) {
+            this.selectedChordIndices.add(this.currentChordIndex + i);
+        }
+
+        this.currentChordIndex += chords.length;
+        this.playRange.end = this.chords.length - 1;
+        this.updateRangeInputs();
+        this.ui.refreshTimeline(this.chords);
+        this.ui.showNotification(`Inserted ${chords.length} chords`);
+    }
+
     pasteSelection() {
         if (this.clipboard.length === 0) return;
         this.saveState();